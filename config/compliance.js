@@ -0,0 +1,30 @@
+// config/compliance.js
+// AICTE norms used by the cadre ratio and faculty-student ratio compliance report.
+
+// Professor : Associate Professor : Assistant Professor
+const CADRE_RATIO = {
+    'Professor': 1,
+    'Associate Professor': 2,
+    'Assistant Professor': 6
+};
+
+// One faculty member for every this many students
+const STUDENTS_PER_FACULTY = 20;
+
+// Years of study in a program, so students on roll = sanctioned intake per year x duration
+const PROGRAM_DURATION_YEARS = 4;
+
+// Report status: green meets every norm, amber meets the faculty-student ratio but is
+// short in a cadre, red does not have enough faculty for the students on roll
+const COMPLIANCE_STATUS = {
+    GREEN: 'green',
+    AMBER: 'amber',
+    RED: 'red'
+};
+
+module.exports = {
+    CADRE_RATIO,
+    STUDENTS_PER_FACULTY,
+    PROGRAM_DURATION_YEARS,
+    COMPLIANCE_STATUS
+};
@@ -0,0 +1,30 @@
+// config/documents.js
+// Faculty document categories and the files accepted for upload.
+
+const DOCUMENT_CATEGORIES = [
+    'SSC Certificate',
+    'UG Degree Certificate',
+    'PG Degree Certificate',
+    'Ph.D Certificate',
+    'Experience Certificate',
+    'Appointment Order',
+    'Publication Proof',
+    'Identity Proof',
+    'Leave Order',
+    'Other'
+];
+
+// MIME type -> file extensions accepted for it
+const ALLOWED_DOCUMENT_TYPES = {
+    'application/pdf': ['.pdf'],
+    'image/jpeg': ['.jpg', '.jpeg'],
+    'image/png': ['.png']
+};
+
+const MAX_DOCUMENT_MB = parseInt(process.env.MAX_DOCUMENT_MB) || 10;
+
+module.exports = {
+    DOCUMENT_CATEGORIES,
+    ALLOWED_DOCUMENT_TYPES,
+    MAX_DOCUMENT_MB
+};
@@ -0,0 +1,9 @@
+// config/eligibilityJob.js
+// Schedule of the nightly eligibility recomputation (see utils/eligibilityJob.js).
+
+// Local time of day as HH:MM; "off" disables the built-in schedule
+const ELIGIBILITY_JOB_TIME = process.env.ELIGIBILITY_JOB_TIME || '02:00';
+
+module.exports = {
+    ELIGIBILITY_JOB_TIME
+};
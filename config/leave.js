@@ -0,0 +1,30 @@
+// config/leave.js
+// Leave types, the approval states of a leave record and which leave counts as service.
+
+const LEAVE_TYPES = [
+    'Sabbatical',
+    'Study Leave (Ph.D)',
+    'Maternity Leave',
+    'Medical Leave',
+    'Earned Leave',
+    'Extraordinary Leave (EOL)'
+];
+
+const LEAVE_STATUSES = {
+    PENDING: 'Pending',
+    APPROVED: 'Approved',
+    REJECTED: 'Rejected'
+};
+
+// Leave without pay does not count as qualifying service for ratification
+const NON_QUALIFYING_LEAVE = ['Extraordinary Leave (EOL)'];
+
+// Faculty still on their college's roll; faculty on leave stay in the lists and the ratification queue
+const ON_ROLL_STATUSES = ['Active', 'On Leave'];
+
+module.exports = {
+    LEAVE_TYPES,
+    LEAVE_STATUSES,
+    NON_QUALIFYING_LEAVE,
+    ON_ROLL_STATUSES
+};
@@ -0,0 +1,138 @@
+// config/notifications.js
+// Outbound email: the SMTP server, the events that send a notice, who receives each one
+// and the default templates. Admins can replace a template's text (see models/notificationTemplate.js).
+
+// Defaults suit a local SMTP catcher such as MailHog or Mailpit (port 1025, no login)
+const SMTP = {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT) || 1025,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER || '',
+    pass: process.env.SMTP_PASS || ''
+};
+
+const MAIL_FROM = process.env.MAIL_FROM || 'JNTUK Faculty Management <no-reply@jntuk.edu.in>';
+
+// Address the app is reached at, for the unsubscribe links in notices
+const APP_URL = (process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+
+// "false" turns all sending off; notices are still logged as skipped
+const NOTIFICATIONS_ENABLED = process.env.NOTIFICATIONS_ENABLED !== 'false';
+
+// A failed delivery is retried after 5, 10, 20 and 40 minutes before it is given up
+const MAX_DELIVERY_ATTEMPTS = 5;
+const RETRY_BASE_MINUTES = 5;
+
+// How often pending retries are looked for
+const RETRY_INTERVAL_MINUTES = 1;
+
+// Who receives a notice:
+// faculty - the faculty member's own email
+// principal - the principal's email set on the faculty member's college
+// collegeAdmins - active College Admin accounts of that college
+const RECIPIENT_GROUPS = ['faculty', 'principal', 'collegeAdmins'];
+
+// Values every template may use as {{name}}
+const PLACEHOLDERS = ['facultyName', 'employeeId', 'designation', 'department', 'college', 'date'];
+
+// Mandatory notices are sent even to addresses that opted out of notices of that kind
+const NOTIFICATION_EVENTS = {
+    facultyCreated: {
+        label: 'Faculty Created',
+        mandatory: false,
+        recipients: ['faculty', 'principal'],
+        placeholders: PLACEHOLDERS,
+        subject: 'Faculty record created: {{facultyName}} ({{employeeId}})',
+        body: `Dear Sir/Madam,
+
+A faculty record has been created in the JNTUK Faculty Management System:
+
+Name: {{facultyName}}
+Employee ID: {{employeeId}}
+Designation: {{designation}}
+Department: {{department}}
+College: {{college}}
+
+Please check the details and ask the college to correct anything that is wrong.
+
+JNTUK Faculty Management System`
+    },
+    becameEligible: {
+        label: 'Became Eligible',
+        mandatory: false,
+        recipients: ['faculty', 'principal', 'collegeAdmins'],
+        placeholders: [...PLACEHOLDERS, 'ruleSetVersion'],
+        subject: '{{facultyName}} is now eligible for ratification',
+        body: `Dear Sir/Madam,
+
+{{facultyName}} ({{employeeId}}), {{designation}}, {{department}}, {{college}}, now meets the ratification criteria of rule set v{{ruleSetVersion}} as of {{date}}.
+
+The college can now submit the faculty member for ratification.
+
+JNTUK Faculty Management System`
+    },
+    ratified: {
+        label: 'Ratified',
+        mandatory: true,
+        recipients: ['faculty', 'principal'],
+        placeholders: [...PLACEHOLDERS, 'caseNumber', 'remarks', 'ruleSetVersion'],
+        subject: 'Ratification approved: {{facultyName}} ({{employeeId}})',
+        body: `Dear Sir/Madam,
+
+The appointment of {{facultyName}} ({{employeeId}}) as {{designation}}, {{department}}, {{college}} has been ratified by JNTUK on {{date}} under case {{caseNumber}} (rule set v{{ruleSetVersion}}).
+
+Remarks: {{remarks}}
+
+JNTUK Faculty Management System`
+    },
+    returned: {
+        label: 'Returned for Corrections',
+        mandatory: true,
+        recipients: ['principal', 'collegeAdmins'],
+        placeholders: [...PLACEHOLDERS, 'caseNumber', 'remarks', 'stage'],
+        subject: 'Ratification case {{caseNumber}} returned for corrections',
+        body: `Dear Sir/Madam,
+
+Ratification case {{caseNumber}} for {{facultyName}} ({{employeeId}}), {{designation}}, {{department}}, has been returned to {{college}} for corrections at the "{{stage}}" stage on {{date}}.
+
+Remarks: {{remarks}}
+
+Please make the corrections and resubmit the case.
+
+JNTUK Faculty Management System`
+    },
+    rejected: {
+        label: 'Rejected',
+        mandatory: true,
+        recipients: ['faculty', 'principal', 'collegeAdmins'],
+        placeholders: [...PLACEHOLDERS, 'caseNumber', 'remarks', 'stage'],
+        subject: 'Ratification case {{caseNumber}} rejected',
+        body: `Dear Sir/Madam,
+
+Ratification case {{caseNumber}} for {{facultyName}} ({{employeeId}}), {{designation}}, {{department}}, {{college}}, was rejected at the "{{stage}}" stage on {{date}}.
+
+Reasons: {{remarks}}
+
+JNTUK Faculty Management System`
+    }
+};
+
+const DELIVERY_STATUSES = {
+    PENDING: 'Pending',
+    SENT: 'Sent',
+    FAILED: 'Failed',
+    SKIPPED: 'Skipped'
+};
+
+module.exports = {
+    SMTP,
+    MAIL_FROM,
+    APP_URL,
+    NOTIFICATIONS_ENABLED,
+    MAX_DELIVERY_ATTEMPTS,
+    RETRY_BASE_MINUTES,
+    RETRY_INTERVAL_MINUTES,
+    RECIPIENT_GROUPS,
+    NOTIFICATION_EVENTS,
+    DELIVERY_STATUSES
+};
@@ -0,0 +1,20 @@
+// config/publications.js
+// Publication types and indexing databases for itemized publication records.
+
+const PUBLICATION_TYPES = ['Journal', 'Conference', 'Book', 'Book Chapter'];
+
+const PUBLICATION_INDEXING = ['SCI', 'Scopus', 'UGC-CARE', 'None'];
+
+// Which of the legacy publication counts each type adds to
+const COUNT_FOR_TYPE = {
+    'Journal': 'journals',
+    'Conference': 'conferences',
+    'Book': 'books',
+    'Book Chapter': 'books'
+};
+
+module.exports = {
+    PUBLICATION_TYPES,
+    PUBLICATION_INDEXING,
+    COUNT_FOR_TYPE
+};
@@ -0,0 +1,35 @@
+// config/qualifications.js
+// Degree levels, classes and the AICTE/UGC minimum qualification norms per designation.
+
+const QUALIFICATION_LEVELS = ['Diploma', 'UG', 'PG', 'M.Phil', 'Doctorate', 'Post-Doctorate'];
+
+const QUALIFICATION_CLASSES = ['Distinction', 'First Class', 'Second Class', 'Pass'];
+
+// Classes, and the percentage, that count as "first class or equivalent"
+const FIRST_CLASS_CLASSES = ['Distinction', 'First Class'];
+const FIRST_CLASS_PERCENTAGE = 60;
+
+// requireDoctorate: a Ph.D is mandatory
+// firstClassIn: first class or equivalent is needed in a degree at one of these levels
+const QUALIFICATION_NORMS = {
+    'Professor': {
+        requireDoctorate: true,
+        firstClassIn: ['UG', 'PG']
+    },
+    'Associate Professor': {
+        requireDoctorate: true,
+        firstClassIn: ['UG', 'PG']
+    },
+    'Assistant Professor': {
+        requireDoctorate: false,
+        firstClassIn: ['PG']
+    }
+};
+
+module.exports = {
+    QUALIFICATION_LEVELS,
+    QUALIFICATION_CLASSES,
+    FIRST_CLASS_CLASSES,
+    FIRST_CLASS_PERCENTAGE,
+    QUALIFICATION_NORMS
+};
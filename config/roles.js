@@ -0,0 +1,74 @@
+// config/roles.js
+// Role names and the permissions each role is granted.
+// Routes are protected by permission (see middleware/auth.js), never by role name,
+// so adding a role or widening access only means editing this file.
+
+const ROLES = {
+    UNIVERSITY_ADMIN: 'University Admin',
+    COLLEGE_ADMIN: 'College Admin',
+    HOD: 'HOD',
+    COMMITTEE_MEMBER: 'Ratification Committee Member',
+    AUDITOR: 'Read-only Auditor'
+};
+
+const ALL_ROLES = Object.values(ROLES);
+
+// Roles that only see and edit the faculty of the college set on their user account
+const COLLEGE_SCOPED_ROLES = [ROLES.COLLEGE_ADMIN, ROLES.HOD];
+
+const PERMISSIONS = {
+    'faculty:read': ALL_ROLES,
+    'faculty:create': [ROLES.UNIVERSITY_ADMIN, ROLES.COLLEGE_ADMIN],
+    'faculty:update': [ROLES.UNIVERSITY_ADMIN, ROLES.COLLEGE_ADMIN, ROLES.HOD],
+    'faculty:delete': [ROLES.UNIVERSITY_ADMIN, ROLES.COLLEGE_ADMIN],
+    'faculty:restore': [ROLES.UNIVERSITY_ADMIN, ROLES.COLLEGE_ADMIN],
+    'faculty:purge': [ROLES.UNIVERSITY_ADMIN],
+    'documents:upload': [ROLES.UNIVERSITY_ADMIN, ROLES.COLLEGE_ADMIN, ROLES.HOD],
+    'documents:delete': [ROLES.UNIVERSITY_ADMIN, ROLES.COLLEGE_ADMIN],
+    'ratification:read': ALL_ROLES,
+    // Ratification workflow: one permission per stage (see models/ratificationCase.js)
+    'ratification:submit': [ROLES.UNIVERSITY_ADMIN, ROLES.COLLEGE_ADMIN],
+    'ratification:recommend': [ROLES.UNIVERSITY_ADMIN, ROLES.HOD],
+    'ratification:scrutinize': [ROLES.UNIVERSITY_ADMIN, ROLES.COMMITTEE_MEMBER],
+    'ratification:approve': [ROLES.UNIVERSITY_ADMIN],
+    'ratification:revoke': [ROLES.UNIVERSITY_ADMIN],
+    // Running the eligibility recomputation on demand (see utils/eligibilityJob.js)
+    'eligibility:run': [ROLES.UNIVERSITY_ADMIN],
+    // Review of suspected duplicate faculty records (see models/duplicateConflict.js)
+    'duplicates:read': [ROLES.UNIVERSITY_ADMIN, ROLES.COMMITTEE_MEMBER, ROLES.AUDITOR],
+    'duplicates:resolve': [ROLES.UNIVERSITY_ADMIN],
+    // Approving or rejecting leave records (see config/leave.js)
+    'leave:approve': [ROLES.UNIVERSITY_ADMIN, ROLES.COLLEGE_ADMIN],
+    'stats:read': ALL_ROLES,
+    'departments:read': ALL_ROLES,
+    'departments:manage': [ROLES.UNIVERSITY_ADMIN],
+    'colleges:read': ALL_ROLES,
+    'colleges:manage': [ROLES.UNIVERSITY_ADMIN],
+    'rules:read': ALL_ROLES,
+    'rules:manage': [ROLES.UNIVERSITY_ADMIN],
+    'audit:read': [ROLES.UNIVERSITY_ADMIN, ROLES.AUDITOR],
+    // Editing email templates and reading the delivery log (see utils/notifications.js)
+    'notifications:manage': [ROLES.UNIVERSITY_ADMIN],
+    'users:manage': [ROLES.UNIVERSITY_ADMIN],
+    'system:test': [ROLES.UNIVERSITY_ADMIN]
+};
+
+const hasPermission = (role, permission) => {
+    return (PERMISSIONS[permission] || []).includes(role);
+};
+
+const permissionsForRole = (role) => {
+    return Object.keys(PERMISSIONS).filter(permission => hasPermission(role, permission));
+};
+
+const isCollegeScoped = (role) => COLLEGE_SCOPED_ROLES.includes(role);
+
+module.exports = {
+    ROLES,
+    ALL_ROLES,
+    COLLEGE_SCOPED_ROLES,
+    PERMISSIONS,
+    hasPermission,
+    permissionsForRole,
+    isCollegeScoped
+};
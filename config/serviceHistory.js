@@ -0,0 +1,25 @@
+// config/serviceHistory.js
+// Service history event types and the faculty fields each one sets.
+
+const SERVICE_EVENT_TYPES = ['Appointment', 'Promotion', 'Transfer', 'Employment Type Change'];
+
+const EMPLOYMENT_TYPES = ['Regular', 'Contract', 'Ad hoc', 'Visiting'];
+
+// Faculty fields set by each event type. The current value of each field is the one
+// set by the latest event; the appointment also sets the date of joining.
+const FIELDS_SET_BY = {
+    'Appointment': ['designation', 'department', 'employmentType'],
+    'Promotion': ['designation'],
+    'Transfer': ['department'],
+    'Employment Type Change': ['employmentType']
+};
+
+// Faculty fields that only change through the service history once a record has one
+const SERVICE_DERIVED_FIELDS = ['designation', 'department', 'employmentType', 'dateOfJoining'];
+
+module.exports = {
+    SERVICE_EVENT_TYPES,
+    EMPLOYMENT_TYPES,
+    FIELDS_SET_BY,
+    SERVICE_DERIVED_FIELDS
+};
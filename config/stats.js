@@ -0,0 +1,24 @@
+// config/stats.js
+// Bucket boundaries of the dashboard histograms (see utils/stats.js). A bucket holds the
+// values from its boundary up to, but not including, the next one; the last is open-ended.
+
+// Years of teaching experience
+const EXPERIENCE_BUCKETS = [0, 2, 5, 10, 15, 20, 25];
+
+// Journals, conferences and books together
+const PUBLICATION_BUCKETS = [0, 1, 5, 10, 20, 50];
+
+// Months covered by the trends unless ?months= asks for another number, and the most allowed
+const DEFAULT_TREND_MONTHS = 12;
+const MAX_TREND_MONTHS = 60;
+
+// Time zone the trends split months in
+const STATS_TIMEZONE = process.env.STATS_TIMEZONE || 'Asia/Kolkata';
+
+module.exports = {
+    EXPERIENCE_BUCKETS,
+    PUBLICATION_BUCKETS,
+    DEFAULT_TREND_MONTHS,
+    MAX_TREND_MONTHS,
+    STATS_TIMEZONE
+};
@@ -0,0 +1,116 @@
+// middleware/auth.js
+const jwt = require('jsonwebtoken');
+const User = require('../models/user');
+const { hasPermission, isCollegeScoped } = require('../config/roles');
+
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '8h';
+
+if (!process.env.JWT_SECRET) {
+    if (process.env.NODE_ENV === 'production') {
+        console.error('❌ JWT_SECRET must be set in production');
+        process.exit(1);
+    }
+    console.warn('⚠️ JWT_SECRET not set, using an insecure development secret');
+}
+
+const JWT_SECRET = process.env.JWT_SECRET || 'jntuk-faculty-dev-secret';
+
+// Accounts of a college-scoped role created before the role was scoped may have no college
+const COLLEGE_MISSING_MESSAGE = 'Your account has no college. Ask a University Admin to set one.';
+
+// Issue a signed token for a logged-in user
+const signToken = (user) => {
+    return jwt.sign(
+        { sub: user._id.toString(), role: user.role },
+        JWT_SECRET,
+        { expiresIn: JWT_EXPIRES_IN }
+    );
+};
+
+// Token for the unsubscribe link of a notice: the address and the notice it stops. It does not
+// expire, and it cannot be used to log in as it names no user.
+const signUnsubscribeToken = (email, event) => {
+    return jwt.sign({ purpose: 'unsubscribe', email, event }, JWT_SECRET);
+};
+
+// The { email, event } of an unsubscribe token; throws if it is not a valid one
+const verifyUnsubscribeToken = (token) => {
+    const payload = jwt.verify(String(token || ''), JWT_SECRET);
+    if (payload.purpose !== 'unsubscribe' || !payload.email || !payload.event) {
+        throw new Error('Not an unsubscribe token');
+    }
+    return { email: payload.email, event: payload.event };
+};
+
+// Verify the bearer token and attach the current user to req.user
+const authenticate = async (req, res, next) => {
+    try {
+        const header = req.headers.authorization || '';
+        const [scheme, token] = header.split(' ');
+
+        if (scheme !== 'Bearer' || !token) {
+            return res.status(401).json({
+                success: false,
+                message: 'Authentication required'
+            });
+        }
+
+        let payload;
+        try {
+            payload = jwt.verify(token, JWT_SECRET);
+        } catch (error) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired session',
+                error: error.message
+            });
+        }
+
+        // Look the user up on every request so deactivation and role changes apply immediately
+        const user = await User.findById(payload.sub);
+        if (!user || !user.isActive) {
+            return res.status(401).json({
+                success: false,
+                message: 'User account not found or inactive'
+            });
+        }
+
+        // Without a college a college-scoped user would not be limited to one
+        if (isCollegeScoped(user.role) && !user.college) {
+            return res.status(403).json({
+                success: false,
+                message: COLLEGE_MISSING_MESSAGE
+            });
+        }
+
+        req.user = user;
+        next();
+    } catch (error) {
+        console.error('❌ Authentication error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server Error',
+            error: error.message
+        });
+    }
+};
+
+// Allow the request only if the user's role grants the given permission
+const authorize = (permission) => (req, res, next) => {
+    if (!req.user || !hasPermission(req.user.role, permission)) {
+        return res.status(403).json({
+            success: false,
+            message: 'You do not have permission to perform this action'
+        });
+    }
+    next();
+};
+
+module.exports = {
+    COLLEGE_MISSING_MESSAGE,
+    signToken,
+    signUnsubscribeToken,
+    verifyUnsubscribeToken,
+    authenticate,
+    authorize
+};
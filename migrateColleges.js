@@ -0,0 +1,68 @@
+// migrateColleges.js
+// Assigns faculty records created before colleges existed to one college, and copies the
+// faculty member's college onto their ratification cases.
+// Usage: node migrateColleges.js [collegeCode]  (defaults to the University College, UCEK)
+// Safe to run more than once: records that already have a college are left alone.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Faculty = require('./models/faculty');
+const College = require('./models/college');
+const RatificationCase = require('./models/ratificationCase');
+
+const migrateColleges = async (collegeCode) => {
+    try {
+        const mongoURI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/jntuk_faculty';
+        console.log('📡 Connecting to:', mongoURI);
+        await mongoose.connect(mongoURI);
+        console.log('✅ Connected to MongoDB');
+        
+        const college = collegeCode
+            ? await College.findOne({ code: collegeCode.toUpperCase() })
+            : await College.ensureUniversityCollege();
+        if (!college) {
+            throw new Error(`College ${collegeCode} does not exist; create it through POST /api/colleges first`);
+        }
+        
+        // The raw collection is used so soft-deleted records are migrated too
+        const result = await Faculty.collection.updateMany(
+            { college: { $exists: false } },
+            { $set: { college: college._id } }
+        );
+        console.log(`✅ Assigned ${result.modifiedCount} faculty records to ${college.code} - ${college.name}`);
+        
+        const cursor = RatificationCase.collection.find({ college: { $exists: false } });
+        
+        let cases = 0;
+        for await (const ratificationCase of cursor) {
+            const faculty = await Faculty.collection.findOne({ _id: ratificationCase.faculty });
+            const caseCollege = faculty?.college
+                ? await College.findById(faculty.college)
+                : college;
+            
+            await RatificationCase.collection.updateOne({ _id: ratificationCase._id }, {
+                $set: {
+                    college: caseCollege._id,
+                    'facultySnapshot.college': caseCollege.name
+                }
+            });
+            cases++;
+        }
+        
+        console.log(`✅ Set the college of ${cases} ratification cases`);
+    } finally {
+        await mongoose.connection.close();
+        console.log('🔌 Database connection closed');
+    }
+};
+
+if (require.main === module) {
+    migrateColleges(process.argv[2])
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error('❌ Migration failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = migrateColleges;
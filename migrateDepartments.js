@@ -0,0 +1,59 @@
+// migrateDepartments.js
+// Replaces the department names stored on faculty records with references to Department documents,
+// creating the departments that used to be hard-coded first.
+// Safe to run more than once: records that already reference a department are left alone.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Faculty = require('./models/faculty');
+const Department = require('./models/department');
+
+const migrateDepartments = async () => {
+    try {
+        const mongoURI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/jntuk_faculty';
+        console.log('📡 Connecting to:', mongoURI);
+        await mongoose.connect(mongoURI);
+        console.log('✅ Connected to MongoDB');
+        
+        const created = await Department.ensureDefaults();
+        console.log(`✅ ${created} departments created`);
+        
+        // The raw collection is used so the old string values are read without schema casting
+        const cursor = Faculty.collection.find({ department: { $type: 'string' } });
+        
+        let migrated = 0;
+        const unknown = [];
+        
+        for await (const record of cursor) {
+            const department = await Department.findByReference(record.department);
+            if (!department) {
+                unknown.push(`${record.employeeId} ${record.firstName} ${record.lastName}: "${record.department}"`);
+                continue;
+            }
+            
+            await Faculty.collection.updateOne({ _id: record._id }, { $set: { department: department._id } });
+            migrated++;
+        }
+        
+        console.log(`✅ Migrated the department of ${migrated} faculty records`);
+        if (unknown.length > 0) {
+            // Create these departments through POST /api/departments and run the migration again
+            console.log(`⚠️ ${unknown.length} records name a department that does not exist:`);
+            unknown.forEach(line => console.log(`   - ${line}`));
+        }
+    } finally {
+        await mongoose.connection.close();
+        console.log('🔌 Database connection closed');
+    }
+};
+
+if (require.main === module) {
+    migrateDepartments()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error('❌ Migration failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = migrateDepartments;
@@ -0,0 +1,51 @@
+// migrateNotificationOptOuts.js
+// Moves the notification opt-outs that used to be kept on user accounts to the opt-outs kept
+// by email address, which the notices now check, and removes them from the users.
+// Opt-outs of users without an email address are dropped, as no notices reach them.
+// Safe to run more than once: users without opt-outs are left alone.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('./models/user');
+const NotificationOptOut = require('./models/notificationOptOut');
+
+const migrateNotificationOptOuts = async () => {
+    try {
+        const mongoURI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/jntuk_faculty';
+        console.log('📡 Connecting to:', mongoURI);
+        await mongoose.connect(mongoURI);
+        console.log('✅ Connected to MongoDB');
+        
+        // The raw collection is used as the field is no longer in the user schema
+        const cursor = User.collection.find({ notificationOptOuts: { $exists: true } });
+        
+        let migrated = 0;
+        for await (const user of cursor) {
+            if (user.email && user.notificationOptOuts.length > 0) {
+                await NotificationOptOut.updateOne(
+                    { email: user.email.toLowerCase() },
+                    { $addToSet: { events: { $each: user.notificationOptOuts } } },
+                    { upsert: true }
+                );
+                migrated++;
+            }
+            await User.collection.updateOne({ _id: user._id }, { $unset: { notificationOptOuts: '' } });
+        }
+        
+        console.log(`✅ Moved the notification opt-outs of ${migrated} users`);
+    } finally {
+        await mongoose.connection.close();
+        console.log('🔌 Database connection closed');
+    }
+};
+
+if (require.main === module) {
+    migrateNotificationOptOuts()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error('❌ Migration failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = migrateNotificationOptOuts;
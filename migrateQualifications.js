@@ -0,0 +1,59 @@
+// migrateQualifications.js
+// Converts qualifications stored as plain degree names ("Ph.D", "M.Tech") into structured entries.
+// Safe to run more than once: records that are already structured are left alone.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Faculty = require('./models/faculty');
+const { parseQualification, qualificationNormViolations } = require('./utils/qualifications');
+
+const migrateQualifications = async () => {
+    try {
+        const mongoURI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/jntuk_faculty';
+        console.log('📡 Connecting to:', mongoURI);
+        await mongoose.connect(mongoURI);
+        console.log('✅ Connected to MongoDB');
+        
+        // The raw collection is used so legacy records are read without schema casting
+        // and written without the AICTE/UGC norm check, which most of them cannot pass yet
+        const cursor = Faculty.collection.find({ qualifications: { $type: 'string' } });
+        
+        let migrated = 0;
+        const needsDetails = [];
+        
+        for await (const record of cursor) {
+            const qualifications = record.qualifications.map(qualification => typeof qualification === 'string'
+                ? { _id: new mongoose.Types.ObjectId(), ...parseQualification(qualification) }
+                : qualification);
+            
+            await Faculty.collection.updateOne({ _id: record._id }, { $set: { qualifications } });
+            migrated++;
+            
+            const violations = qualificationNormViolations(record.designation, qualifications);
+            if (violations.length > 0) {
+                needsDetails.push(`${record.employeeId} ${record.firstName} ${record.lastName}: ${violations.join('; ')}`);
+            }
+        }
+        
+        console.log(`✅ Migrated qualifications of ${migrated} faculty records`);
+        if (needsDetails.length > 0) {
+            // Class and percentage were never recorded, so these need to be completed by hand
+            console.log(`⚠️ ${needsDetails.length} records do not meet the AICTE/UGC norms until their qualification details are entered:`);
+            needsDetails.forEach(line => console.log(`   - ${line}`));
+        }
+    } finally {
+        await mongoose.connection.close();
+        console.log('🔌 Database connection closed');
+    }
+};
+
+if (require.main === module) {
+    migrateQualifications()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error('❌ Migration failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = migrateQualifications;
@@ -0,0 +1,35 @@
+// migrateSearchText.js
+// Fills in the search text (department and qualification words) and the search words (see
+// models/faculty.js) of faculty records saved before the search index existed. The text index itself is built by
+// Mongoose when the server starts. Safe to run more than once.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Faculty = require('./models/faculty');
+
+const migrateSearchText = async () => {
+    try {
+        const mongoURI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/jntuk_faculty';
+        console.log('📡 Connecting to:', mongoURI);
+        await mongoose.connect(mongoURI);
+        console.log('✅ Connected to MongoDB');
+        
+        const updated = await Faculty.refreshSearchText();
+        
+        console.log(`✅ Updated the search text of ${updated} faculty records`);
+    } finally {
+        await mongoose.connection.close();
+        console.log('🔌 Database connection closed');
+    }
+};
+
+if (require.main === module) {
+    migrateSearchText()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error('❌ Migration failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = migrateSearchText;
@@ -0,0 +1,65 @@
+// migrateServiceHistory.js
+// Starts the service history of faculty records created before it existed with an
+// appointment built from the current designation, department and date of joining.
+// Earlier promotions and transfers are not known, so they have to be recorded by hand
+// (POST /api/faculty/:id/service-history) with their orders.
+// Safe to run more than once: records that already have a service history are left alone.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Faculty = require('./models/faculty');
+
+const migrateServiceHistory = async () => {
+    try {
+        const mongoURI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/jntuk_faculty';
+        console.log('📡 Connecting to:', mongoURI);
+        await mongoose.connect(mongoURI);
+        console.log('✅ Connected to MongoDB');
+        
+        // The raw collection is used so soft-deleted records are migrated too
+        const cursor = Faculty.collection.find({
+            $or: [{ serviceHistory: { $exists: false } }, { serviceHistory: { $size: 0 } }]
+        });
+        
+        let migrated = 0;
+        for await (const faculty of cursor) {
+            const employmentType = faculty.employmentType || 'Regular';
+            const now = new Date();
+            
+            await Faculty.collection.updateOne({ _id: faculty._id }, {
+                $set: {
+                    employmentType,
+                    serviceHistory: [{
+                        _id: new mongoose.Types.ObjectId(),
+                        type: 'Appointment',
+                        effectiveDate: faculty.dateOfJoining,
+                        designation: faculty.designation,
+                        department: faculty.department,
+                        employmentType,
+                        remarks: 'Recorded from the faculty record when service history was introduced',
+                        recordedByName: 'System',
+                        createdAt: now,
+                        updatedAt: now
+                    }]
+                }
+            });
+            migrated++;
+        }
+        
+        console.log(`✅ Started the service history of ${migrated} faculty records`);
+    } finally {
+        await mongoose.connection.close();
+        console.log('🔌 Database connection closed');
+    }
+};
+
+if (require.main === module) {
+    migrateServiceHistory()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error('❌ Migration failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = migrateServiceHistory;
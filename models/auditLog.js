@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+const changeSchema = new mongoose.Schema({
+    field: {
+        type: String,
+        required: true
+    },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const auditLogSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        required: true,
+        enum: {
+            values: ['create', 'update', 'delete', 'restore', 'purge', 'ratify', 'revoke'],
+            message: 'Invalid audit action'
+        }
+    },
+    entityType: {
+        type: String,
+        required: true,
+        default: 'Faculty'
+    },
+    entityId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    actor: {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        username: String,
+        name: String,
+        role: String
+    },
+    route: {
+        method: String,
+        path: String
+    },
+    ipAddress: String,
+    changes: [changeSchema],
+    timestamp: {
+        type: Date,
+        default: Date.now,
+        immutable: true
+    }
+}, {
+    versionKey: false
+});
+
+// The audit log is append-only: entries can be created but never changed or removed
+const rejectMutation = function(next) {
+    next(new Error('Audit log entries are append-only'));
+};
+
+auditLogSchema.pre('save', function(next) {
+    if (!this.isNew) {
+        return rejectMutation(next);
+    }
+    next();
+});
+
+[
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete'
+].forEach(operation => {
+    auditLogSchema.pre(operation, rejectMutation);
+});
+
+// Indexes for history and filtered audit queries
+auditLogSchema.index({ entityType: 1, entityId: 1, timestamp: -1 });
+auditLogSchema.index({ 'actor.username': 1, timestamp: -1 });
+auditLogSchema.index({ action: 1, timestamp: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
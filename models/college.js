@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// An affiliated (or constituent) college whose faculty JNTUK ratifies
+const collegeSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: [true, 'College code is required'],
+        unique: true,
+        trim: true,
+        uppercase: true,
+        maxlength: [20, 'College code cannot exceed 20 characters']
+    },
+    name: {
+        type: String,
+        required: [true, 'College name is required'],
+        trim: true,
+        maxlength: [200, 'College name cannot exceed 200 characters']
+    },
+    district: {
+        type: String,
+        required: [true, 'District is required'],
+        trim: true
+    },
+    autonomous: {
+        type: Boolean,
+        default: false
+    },
+    principal: {
+        type: String,
+        trim: true
+    },
+    // Ratification notices for the college's faculty are sent here
+    principalEmail: {
+        type: String,
+        lowercase: true,
+        trim: true,
+        match: [/^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/, 'Invalid email format']
+    }
+}, {
+    timestamps: true
+});
+
+// The university's own constituent college; setupDatabase.js creates it and
+// the migration assigns existing faculty to it unless another college is given
+const UNIVERSITY_COLLEGE = {
+    code: 'UCEK',
+    name: 'University College of Engineering Kakinada',
+    district: 'Kakinada',
+    autonomous: true
+};
+
+collegeSchema.statics.ensureUniversityCollege = async function() {
+    const college = await this.findOneAndUpdate(
+        { code: UNIVERSITY_COLLEGE.code },
+        { $setOnInsert: UNIVERSITY_COLLEGE },
+        { upsert: true, new: true }
+    );
+    return college;
+};
+
+collegeSchema.index({ district: 1 });
+
+const College = mongoose.model('College', collegeSchema);
+
+College.UNIVERSITY_COLLEGE = UNIVERSITY_COLLEGE;
+
+module.exports = College;
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// Departments that used to be hard-coded; setupDatabase.js and the migration create them
+const DEFAULT_DEPARTMENTS = [
+    { code: 'CSE', name: 'Computer Science Engineering' },
+    { code: 'ECE', name: 'Electronics and Communication Engineering' },
+    { code: 'EEE', name: 'Electrical Engineering' },
+    { code: 'ME', name: 'Mechanical Engineering' },
+    { code: 'CE', name: 'Civil Engineering' },
+    { code: 'CHE', name: 'Chemical Engineering' },
+    { code: 'IT', name: 'Information Technology' },
+    { code: 'EIE', name: 'Electronics and Instrumentation Engineering' }
+];
+
+const departmentSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: [true, 'Department code is required'],
+        unique: true,
+        trim: true,
+        uppercase: true,
+        maxlength: [20, 'Department code cannot exceed 20 characters']
+    },
+    name: {
+        type: String,
+        required: [true, 'Department name is required'],
+        unique: true,
+        trim: true,
+        maxlength: [100, 'Department name cannot exceed 100 characters']
+    },
+    // Faculty member heading the department
+    hod: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Faculty'
+    },
+    // Inactive departments keep their faculty but cannot be assigned to anyone new
+    active: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Department by id, code or name (code and name ignore case)
+departmentSchema.statics.findByReference = function(reference) {
+    const value = String(reference || '').trim();
+    if (!value) return Promise.resolve(null);
+    if (mongoose.Types.ObjectId.isValid(value)) return this.findById(value);
+    
+    const exact = new RegExp(`^${escapeRegex(value)}$`, 'i');
+    return this.findOne({ $or: [{ code: exact }, { name: exact }] });
+};
+
+// Why a department cannot be given to a faculty member, or null
+departmentSchema.statics.assignmentProblem = async function(departmentId) {
+    const department = mongoose.Types.ObjectId.isValid(departmentId)
+        ? await this.findById(departmentId).select('name active').lean()
+        : null;
+    if (!department) return 'Invalid department';
+    if (!department.active) return `Department ${department.name} is not active`;
+    return null;
+};
+
+// Create any of the default departments that do not exist yet
+departmentSchema.statics.ensureDefaults = async function() {
+    let created = 0;
+    for (const department of DEFAULT_DEPARTMENTS) {
+        const result = await this.updateOne(
+            { code: department.code },
+            { $setOnInsert: department },
+            { upsert: true }
+        );
+        created += result.upsertedCount;
+    }
+    return created;
+};
+
+const Department = mongoose.model('Department', departmentSchema);
+
+Department.DEFAULT_DEPARTMENTS = DEFAULT_DEPARTMENTS;
+
+module.exports = Department;
@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+
+const STATUSES = {
+    OPEN: 'Open',
+    MERGED: 'Merged',
+    DISMISSED: 'Dismissed'
+};
+
+// Strong: an identifier that belongs to one person (AICTE faculty ID, PAN).
+// Fuzzy: similar name together with the same phone number or date of birth.
+const STRENGTHS = {
+    STRONG: 'Strong',
+    FUZZY: 'Fuzzy'
+};
+
+// What found the match
+const SOURCES = ['create', 'update', 'import', 'scan'];
+
+const reasonSchema = new mongoose.Schema({
+    field: {
+        type: String,
+        required: true
+    },
+    strength: {
+        type: String,
+        required: true,
+        enum: Object.values(STRENGTHS)
+    },
+    detail: String
+}, { _id: false });
+
+const duplicateConflictSchema = new mongoose.Schema({
+    // The two faculty records, in ascending _id order
+    faculty: {
+        type: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Faculty'
+        }],
+        validate: [ids => ids.length === 2, 'A conflict is between exactly two faculty records']
+    },
+    // "<id>:<id>" of the pair, so the same pair is only ever queued once
+    pairKey: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    reasons: [reasonSchema],
+    strength: {
+        type: String,
+        enum: Object.values(STRENGTHS)
+    },
+    status: {
+        type: String,
+        required: true,
+        enum: Object.values(STATUSES),
+        default: STATUSES.OPEN
+    },
+    source: {
+        type: String,
+        enum: SOURCES
+    },
+    resolution: {
+        // Record kept when the pair was merged
+        keptFaculty: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Faculty'
+        },
+        remarks: {
+            type: String,
+            trim: true,
+            maxlength: [2000, 'Remarks cannot exceed 2000 characters']
+        },
+        by: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        byName: String,
+        at: Date
+    }
+}, {
+    timestamps: true
+});
+
+const pairKeyFor = (idA, idB) => [String(idA), String(idB)].sort().join(':');
+
+// Queue a suspected duplicate pair, or refresh the reasons of its open conflict.
+// A dismissed or merged pair is not reopened. Returns the conflict when it is open.
+duplicateConflictSchema.statics.recordMatch = async function(facultyA, facultyB, reasons, source) {
+    const pairKey = pairKeyFor(facultyA._id, facultyB._id);
+    const strength = reasons.some(reason => reason.strength === STRENGTHS.STRONG) ? STRENGTHS.STRONG : STRENGTHS.FUZZY;
+
+    const existing = await this.findOne({ pairKey });
+    if (existing) {
+        if (existing.status !== STATUSES.OPEN) return null;
+        existing.reasons = reasons;
+        existing.strength = strength;
+        return existing.save();
+    }
+
+    return this.create({
+        faculty: pairKey.split(':'),
+        pairKey,
+        reasons,
+        strength,
+        source
+    });
+};
+
+// Open conflicts a faculty member is part of
+duplicateConflictSchema.statics.openFor = function(facultyId) {
+    return this.find({ faculty: facultyId, status: STATUSES.OPEN });
+};
+
+// Close the review with the given outcome
+duplicateConflictSchema.methods.resolve = function(status, user, remarks, keptFaculty) {
+    this.status = status;
+    this.resolution = {
+        keptFaculty,
+        remarks,
+        by: user?._id,
+        byName: user?.name,
+        at: new Date()
+    };
+};
+
+duplicateConflictSchema.index({ status: 1, updatedAt: -1 });
+duplicateConflictSchema.index({ faculty: 1, status: 1 });
+
+const DuplicateConflict = mongoose.model('DuplicateConflict', duplicateConflictSchema);
+
+DuplicateConflict.STATUSES = STATUSES;
+DuplicateConflict.STRENGTHS = STRENGTHS;
+DuplicateConflict.SOURCES = SOURCES;
+
+module.exports = DuplicateConflict;
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+const EVENT_TYPES = {
+    BECAME_ELIGIBLE: 'Became Eligible',
+    LOST_ELIGIBILITY: 'Lost Eligibility'
+};
+
+// A faculty member crossing the eligibility line, found by an eligibility run or when the
+// record was saved (then without a run)
+const eligibilityEventSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        required: true,
+        enum: Object.values(EVENT_TYPES)
+    },
+    run: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'EligibilityRun'
+    },
+    faculty: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Faculty',
+        required: true
+    },
+    college: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'College'
+    },
+    // Faculty details at the time, so the event reads the same after later changes
+    facultyName: String,
+    employeeId: String,
+    designation: String,
+    ruleSetVersion: Number,
+    // Labels of the criteria that are no longer met, for lost eligibility
+    failedCriteria: [String]
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false
+});
+
+eligibilityEventSchema.index({ createdAt: -1 });
+eligibilityEventSchema.index({ run: 1 });
+eligibilityEventSchema.index({ college: 1, createdAt: -1 });
+
+const EligibilityEvent = mongoose.model('EligibilityEvent', eligibilityEventSchema);
+
+EligibilityEvent.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = EligibilityEvent;
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const TRIGGERS = ['schedule', 'manual'];
+
+const RUN_STATUSES = {
+    RUNNING: 'Running',
+    COMPLETED: 'Completed',
+    FAILED: 'Failed'
+};
+
+const backlogEntrySchema = new mongoose.Schema({
+    college: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'College'
+    },
+    department: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Department'
+    },
+    count: Number
+}, { _id: false });
+
+// One recomputation of the stored eligibility flags (see utils/eligibilityJob.js)
+const eligibilityRunSchema = new mongoose.Schema({
+    trigger: {
+        type: String,
+        required: true,
+        enum: TRIGGERS
+    },
+    triggeredBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    triggeredByName: String,
+    status: {
+        type: String,
+        required: true,
+        enum: Object.values(RUN_STATUSES),
+        default: RUN_STATUSES.RUNNING
+    },
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+    finishedAt: Date,
+    // Rule set the flags were computed against
+    ruleSetVersion: Number,
+    // Faculty records evaluated, and how many had their stored flag changed
+    checked: {
+        type: Number,
+        default: 0
+    },
+    updated: {
+        type: Number,
+        default: 0
+    },
+    becameEligible: {
+        type: Number,
+        default: 0
+    },
+    lostEligibility: {
+        type: Number,
+        default: 0
+    },
+    // Status changes made by the leave sync that runs first
+    leave: {
+        onLeave: Number,
+        returned: Number
+    },
+    // Eligible faculty not yet ratified per college and department once the flags are
+    // current, for the backlog trend (see utils/stats.js)
+    backlog: [backlogEntrySchema],
+    error: String
+}, {
+    versionKey: false
+});
+
+eligibilityRunSchema.index({ startedAt: -1 });
+
+const EligibilityRun = mongoose.model('EligibilityRun', eligibilityRunSchema);
+
+EligibilityRun.TRIGGERS = TRIGGERS;
+EligibilityRun.RUN_STATUSES = RUN_STATUSES;
+
+module.exports = EligibilityRun;
@@ -1,4 +1,236 @@
 const mongoose = require('mongoose');
+const RuleSet = require('./ruleSet');
+const Department = require('./department');
+const { DOCUMENT_CATEGORIES } = require('../config/documents');
+const { PUBLICATION_TYPES, PUBLICATION_INDEXING, COUNT_FOR_TYPE } = require('../config/publications');
+const { QUALIFICATION_LEVELS, QUALIFICATION_CLASSES } = require('../config/qualifications');
+const { SERVICE_EVENT_TYPES, EMPLOYMENT_TYPES, FIELDS_SET_BY } = require('../config/serviceHistory');
+const { LEAVE_TYPES, LEAVE_STATUSES, NON_QUALIFYING_LEAVE } = require('../config/leave');
+const { normalizeDegree, parseQualification, checkQualificationNorms, qualificationNormViolations } = require('../utils/qualifications');
+const { searchWordsOf } = require('../utils/facultySearch');
+
+// One degree held by the faculty member
+const qualificationSchema = new mongoose.Schema({
+    level: {
+        type: String,
+        required: [true, 'Degree level is required'],
+        enum: {
+            values: QUALIFICATION_LEVELS,
+            message: 'Invalid degree level'
+        }
+    },
+    degree: {
+        type: String,
+        required: [true, 'Degree name is required'],
+        trim: true
+    },
+    specialization: {
+        type: String,
+        trim: true
+    },
+    university: {
+        type: String,
+        trim: true
+    },
+    yearOfAward: {
+        type: Number,
+        min: [1950, 'Invalid year of award'],
+        max: [new Date().getFullYear(), 'Year of award cannot be in the future']
+    },
+    classObtained: {
+        type: String,
+        enum: {
+            values: QUALIFICATION_CLASSES,
+            message: 'Invalid class'
+        }
+    },
+    percentage: {
+        type: Number,
+        min: [0, 'Percentage cannot be negative'],
+        max: [100, 'Percentage cannot exceed 100']
+    }
+});
+
+// One publication of the faculty member
+const publicationSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: [true, 'Publication title is required'],
+        trim: true,
+        maxlength: [500, 'Title cannot exceed 500 characters']
+    },
+    authors: [{
+        type: String,
+        trim: true
+    }],
+    // Position of this faculty member in the author list (1 = first author)
+    authorPosition: {
+        type: Number,
+        min: [1, 'Author position starts at 1']
+    },
+    venue: {
+        type: String,
+        trim: true
+    },
+    year: {
+        type: Number,
+        min: [1950, 'Invalid publication year'],
+        max: [new Date().getFullYear() + 1, 'Invalid publication year']
+    },
+    doi: {
+        type: String,
+        trim: true,
+        lowercase: true
+    },
+    isbn: {
+        type: String,
+        trim: true
+    },
+    type: {
+        type: String,
+        required: [true, 'Publication type is required'],
+        enum: {
+            values: PUBLICATION_TYPES,
+            message: 'Invalid publication type'
+        }
+    },
+    indexing: {
+        type: String,
+        enum: {
+            values: PUBLICATION_INDEXING,
+            message: 'Invalid indexing'
+        },
+        default: 'None'
+    },
+    // _id of an entry in the faculty member's documents
+    proofDocument: mongoose.Schema.Types.ObjectId
+}, {
+    timestamps: true
+});
+
+// Required only for the event types that set the field (see config/serviceHistory.js)
+const setByEvent = (field) => function() {
+    return FIELDS_SET_BY[this.type].includes(field);
+};
+
+// One appointment, promotion, transfer or change of employment type
+const serviceEventSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        required: [true, 'Event type is required'],
+        enum: {
+            values: SERVICE_EVENT_TYPES,
+            message: 'Invalid service event type'
+        }
+    },
+    effectiveDate: {
+        type: Date,
+        required: [true, 'Effective date is required'],
+        max: [Date.now, 'Effective date cannot be in the future']
+    },
+    // Number of the appointment, promotion or transfer order
+    orderNumber: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Order number cannot exceed 100 characters']
+    },
+    designation: {
+        type: String,
+        required: [setByEvent('designation'), 'Designation is required for this event'],
+        enum: {
+            values: RuleSet.DESIGNATIONS,
+            message: 'Invalid designation'
+        }
+    },
+    department: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Department',
+        required: [setByEvent('department'), 'Department is required for this event']
+    },
+    employmentType: {
+        type: String,
+        required: [setByEvent('employmentType'), 'Employment type is required for this event'],
+        enum: {
+            values: EMPLOYMENT_TYPES,
+            message: 'Invalid employment type'
+        }
+    },
+    remarks: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Remarks cannot exceed 1000 characters']
+    },
+    recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    recordedByName: String
+}, {
+    timestamps: true
+});
+
+// One period of leave. Only approved leave sets the On Leave status or counts against service.
+const leaveSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        required: [true, 'Leave type is required'],
+        enum: {
+            values: LEAVE_TYPES,
+            message: 'Invalid leave type'
+        }
+    },
+    startDate: {
+        type: Date,
+        required: [true, 'Leave start date is required']
+    },
+    // Last day of the leave
+    endDate: {
+        type: Date,
+        required: [true, 'Leave end date is required'],
+        validate: {
+            validator: function(endDate) {
+                return !this.startDate || endDate >= this.startDate;
+            },
+            message: 'Leave cannot end before it starts'
+        }
+    },
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Reason cannot exceed 1000 characters']
+    },
+    // _id of an entry in the faculty member's documents, e.g. the leave order
+    supportingDocument: mongoose.Schema.Types.ObjectId,
+    approval: {
+        status: {
+            type: String,
+            enum: Object.values(LEAVE_STATUSES),
+            default: LEAVE_STATUSES.PENDING
+        },
+        orderNumber: {
+            type: String,
+            trim: true
+        },
+        remarks: {
+            type: String,
+            trim: true,
+            maxlength: [1000, 'Remarks cannot exceed 1000 characters']
+        },
+        by: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        byName: String,
+        at: Date
+    },
+    recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    recordedByName: String
+}, {
+    timestamps: true
+});
 
 const facultySchema = new mongoose.Schema({
     firstName: {
@@ -27,22 +259,33 @@ const facultySchema = new mongoose.Schema({
         trim: true,
         uppercase: true
     },
-    department: {
+    // AICTE faculty ID and PAN belong to one person, so they identify the same
+    // person across colleges (see utils/duplicateDetection.js)
+    aicteId: {
         type: String,
-        required: [true, 'Department is required'],
-        enum: {
-            values: [
-                'Computer Science Engineering',
-                'Electronics and Communication Engineering',
-                'Electrical Engineering',
-                'Mechanical Engineering',
-                'Civil Engineering',
-                'Chemical Engineering',
-                'Information Technology',
-                'Electronics and Instrumentation Engineering'
-            ],
-            message: 'Invalid department'
-        }
+        trim: true,
+        uppercase: true,
+        maxlength: [30, 'AICTE faculty ID cannot exceed 30 characters']
+    },
+    pan: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        match: [/^[A-Z]{5}\d{4}[A-Z]$/, 'PAN must be in format: ABCDE1234F']
+    },
+    dateOfBirth: {
+        type: Date,
+        max: [Date.now, 'Date of birth cannot be in the future']
+    },
+    college: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'College',
+        required: [true, 'College is required']
+    },
+    department: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Department',
+        required: [true, 'Department is required']
     },
     designation: {
         type: String,
@@ -56,10 +299,19 @@ const facultySchema = new mongoose.Schema({
         type: Date,
         required: [true, 'Date of joining is required']
     },
-    qualifications: [{
+    employmentType: {
         type: String,
-        required: true
-    }],
+        enum: {
+            values: EMPLOYMENT_TYPES,
+            message: 'Invalid employment type'
+        },
+        default: 'Regular'
+    },
+    // Appointment, promotions, transfers and employment type changes. Once a record has a
+    // service history the designation, department, employment type and date of joining
+    // are derived from it (see applyServiceHistory below).
+    serviceHistory: [serviceEventSchema],
+    qualifications: [qualificationSchema],
     experience: {
         teaching: {
             type: Number,
@@ -94,6 +346,8 @@ const facultySchema = new mongoose.Schema({
             min: 0
         }
     },
+    // Itemized publications; once there are any, the counts above are derived from them
+    publicationRecords: [publicationSchema],
     phone: {
         type: String,
         required: true,
@@ -112,25 +366,107 @@ const facultySchema = new mongoose.Schema({
         },
         ratificationDate: Date,
         ratifiedBy: String,
+        ratifiedByUser: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
         comments: String,
         isEligible: {
             type: Boolean,
             default: false
-        }
+        },
+        // Rule set version used for the latest eligibility check
+        eligibilityRuleSetVersion: Number,
+        // Rule set version the ratification decision was made under
+        ruleSetVersion: Number,
+        // Ratification case that was approved
+        caseNumber: String,
+        // Set when the designation, employment type, qualifications or experience change after ratification
+        needsReRatification: {
+            type: Boolean,
+            default: false
+        },
+        reRatificationReason: String
     },
+    // Every ratification, revocation and re-ratification flag, oldest first
+    ratificationHistory: [{
+        action: {
+            type: String,
+            enum: ['Ratified', 'Revoked', 'Flagged for Re-ratification'],
+            required: true
+        },
+        date: {
+            type: Date,
+            default: Date.now
+        },
+        by: String,
+        byUser: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        designation: String,
+        ruleSetVersion: Number,
+        caseNumber: String,
+        remarks: String,
+        // For ratifications: when the faculty member became eligible, for the time-to-ratification trend
+        eligibleSince: Date
+    }],
+    // Active and On Leave follow the approved leave records (see syncLeaveStatus below);
+    // Inactive is only set by hand
     status: {
         type: String,
         enum: ['Active', 'Inactive', 'On Leave'],
         default: 'Active'
     },
+    leaveRecords: [leaveSchema],
+    // Uploaded certificates and proofs; files live under UPLOAD_DIR (see config/documents.js)
     documents: [{
         name: String,
         path: String,
         uploadDate: {
             type: Date,
             default: Date.now
-        }
-    }]
+        },
+        category: {
+            type: String,
+            enum: {
+                values: DOCUMENT_CATEGORIES,
+                message: 'Invalid document category'
+            }
+        },
+        description: String,
+        mimeType: String,
+        size: Number,
+        // SHA-256 of the file contents, hex encoded
+        checksum: String,
+        uploadedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        uploadedByName: String
+    }],
+    // Soft delete - deleted records stay in the Recycle Bin until purged
+    isDeleted: {
+        type: Boolean,
+        default: false
+    },
+    deletedAt: Date,
+    deletedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    deletedByName: String,
+    deletionReason: String,
+    // Department and qualification words for the search index, kept current on save (see searchTextFor)
+    searchText: {
+        type: String,
+        select: false
+    },
+    // Lowercase words of the searched fields, for matching the start of a word (see searchWordsFor)
+    searchWords: {
+        type: [String],
+        select: false
+    }
 }, {
     timestamps: true
 });
@@ -140,30 +476,548 @@ facultySchema.virtual('fullName').get(function() {
     return `${this.firstName} ${this.lastName}`;
 });
 
-// Method to check ratification eligibility
-facultySchema.methods.checkRatificationEligibility = function() {
-    const yearsOfService = (Date.now() - this.dateOfJoining.getTime()) / (365.25 * 24 * 60 * 60 * 1000);
-    const totalPublications = this.publications.journals + this.publications.conferences + this.publications.books;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MS_PER_YEAR = 365.25 * MS_PER_DAY;
+
+// Midnight UTC of the day, the way dates without a time are stored
+const startOfDay = (date) => new Date(date.toISOString().slice(0, 10));
+
+const roundTo = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Build one line of the eligibility breakdown
+const criterion = (key, label, required, actual, unit, extra = {}) => {
+    const passed = actual >= required;
+    return {
+        key,
+        label,
+        required,
+        actual: roundTo(actual),
+        unit,
+        passed,
+        shortfall: passed ? 0 : roundTo(required - actual),
+        timeBased: false,
+        ...extra
+    };
+};
+
+// Service history oldest first; events on the same date keep the order they were recorded in
+facultySchema.methods.serviceTimeline = function() {
+    return [...(this.serviceHistory || [])].sort((a, b) => a.effectiveDate - b.effectiveDate);
+};
+
+// Date the current designation was taken up: the latest appointment or promotion,
+// or the date of joining for records without a service history
+facultySchema.methods.designationSince = function() {
+    const event = this.serviceTimeline()
+        .filter(e => FIELDS_SET_BY[e.type].includes('designation'))
+        .pop();
+    return event ? event.effectiveDate : this.dateOfJoining;
+};
+
+// Approved leave covering a date, if any
+facultySchema.methods.leaveOn = function(date = new Date()) {
+    return (this.leaveRecords || []).find(leave =>
+        leave.approval?.status === LEAVE_STATUSES.APPROVED &&
+        leave.startDate <= date &&
+        leave.endDate >= startOfDay(date)
+    ) || null;
+};
+
+// Switch between Active and On Leave as approved leave starts and ends.
+// Inactive records are left alone. Returns true if the status changed.
+facultySchema.methods.syncLeaveStatus = function(asOf = new Date()) {
+    if (this.status === 'Inactive') return false;
+    
+    const status = this.leaveOn(asOf) ? 'On Leave' : 'Active';
+    if (this.status === status) return false;
+    
+    this.status = status;
+    return true;
+};
+
+// Days of approved leave that does not count as service (EOL) between two dates
+facultySchema.methods.nonQualifyingDays = function(from, to) {
+    return (this.leaveRecords || [])
+        .filter(leave => leave.approval?.status === LEAVE_STATUSES.APPROVED && NON_QUALIFYING_LEAVE.includes(leave.type))
+        .reduce((days, leave) => {
+            // The end date is the last day of leave
+            const start = Math.max(leave.startDate.getTime(), from.getTime());
+            const end = Math.min(leave.endDate.getTime() + MS_PER_DAY, to.getTime());
+            return days + Math.max(0, Math.round((end - start) / MS_PER_DAY));
+        }, 0);
+};
+
+// Date by which there are the given years of qualifying service counted from a date.
+// Non-qualifying leave before that date pushes it back, which may bring more leave into range.
+facultySchema.methods.qualifyingServiceDate = function(since, years) {
+    let date = new Date(since.getTime() + years * MS_PER_YEAR);
+    for (let i = 0; i < 10; i++) {
+        const next = new Date(since.getTime() + years * MS_PER_YEAR + this.nonQualifyingDays(since, date) * MS_PER_DAY);
+        if (next.getTime() === date.getTime()) break;
+        date = next;
+    }
+    return date;
+};
+
+// Publication counts by type. With an indexing list only itemized publications with
+// one of those indexings are counted; otherwise the stored counts are used.
+facultySchema.methods.publicationCounts = function(indexing = []) {
+    if (indexing.length === 0) {
+        const { journals = 0, conferences = 0, books = 0 } = this.publications || {};
+        return { journals, conferences, books };
+    }
+    
+    const counts = { journals: 0, conferences: 0, books: 0 };
+    (this.publicationRecords || [])
+        .filter(publication => indexing.includes(publication.indexing))
+        .forEach(publication => { counts[COUNT_FOR_TYPE[publication.type]]++; });
+    return counts;
+};
+
+// Method to evaluate ratification eligibility against a rule set (see models/ruleSet.js),
+// returning every criterion with its required and actual value, pass/fail and shortfall.
+// For time-based criteria the breakdown includes the date the criterion will be met,
+// and projectedEligibilityDate is when the faculty member becomes eligible if nothing else changes.
+// For an eligible faculty member eligibleSince is the date the last time-based criterion was met.
+facultySchema.methods.evaluateEligibility = function(ruleSet = RuleSet.defaultRuleSet(), asOf = new Date()) {
+    const rule = ruleSet.ruleFor(this.designation);
+    const result = {
+        designation: this.designation,
+        ruleSetVersion: ruleSet.version,
+        ruleSetName: ruleSet.name,
+        evaluatedAt: asOf,
+        eligible: false,
+        criteria: [],
+        projectedEligibilityDate: null,
+        eligibleSince: null
+    };
+    
+    if (!rule) {
+        result.message = `The rule set has no ratification criteria for ${this.designation}`;
+        return result;
+    }
+    
+    // Service counted from a date, less approved non-qualifying leave (EOL)
+    const serviceCriterion = (key, label, required, since) => {
+        const excluded = this.nonQualifyingDays(since, asOf);
+        const years = (asOf.getTime() - since.getTime()) / MS_PER_YEAR - excluded * MS_PER_DAY / MS_PER_YEAR;
+        return criterion(key, excluded > 0 ? `${label} (less ${excluded} days of non-qualifying leave)` : label, required, years, 'years', {
+            timeBased: true,
+            eligibleOn: this.qualifyingServiceDate(since, required)
+        });
+    };
+    
+    const countedIndexing = rule.countedIndexing || [];
+    const { journals, conferences, books } = this.publicationCounts(countedIndexing);
+    const countedLabel = countedIndexing.length > 0 ? ` (${countedIndexing.join(', ')} indexed)` : '';
+    const heldDegrees = (this.qualifications || []).map(q => normalizeDegree(q.degree));
+    
+    result.criteria.push(serviceCriterion('yearsOfService', 'Years of service', rule.minYearsOfService, this.dateOfJoining));
+    
+    // Only applies when the rule set sets it
+    if (rule.minYearsInDesignation > 0) {
+        result.criteria.push(serviceCriterion('yearsInDesignation', `Years as ${this.designation}`, rule.minYearsInDesignation, this.designationSince()));
+    }
+    result.criteria.push(criterion('teachingExperience', 'Teaching experience', rule.minTeachingExperience, this.experience.teaching, 'years'));
+    result.criteria.push(criterion('totalPublications', `Total publications${countedLabel}`, rule.minTotalPublications, journals + conferences + books, 'publications'));
+    
+    // Publication mix minimums only apply when the rule set sets them
+    if (rule.minJournals > 0) {
+        result.criteria.push(criterion('journals', `Journal publications${countedLabel}`, rule.minJournals, journals, 'publications'));
+    }
+    if (rule.minConferences > 0) {
+        result.criteria.push(criterion('conferences', `Conference publications${countedLabel}`, rule.minConferences, conferences, 'publications'));
+    }
+    if (rule.minBooks > 0) {
+        result.criteria.push(criterion('books', `Books published${countedLabel}`, rule.minBooks, books, 'books'));
+    }
+    
+    for (const qualification of rule.requiredQualifications) {
+        const held = heldDegrees.includes(normalizeDegree(qualification));
+        result.criteria.push({
+            key: `qualification:${qualification}`,
+            label: `Qualification: ${qualification}`,
+            required: qualification,
+            actual: held ? qualification : 'Not held',
+            unit: null,
+            passed: held,
+            shortfall: held ? 0 : 1,
+            timeBased: false
+        });
+    }
+    
+    // AICTE/UGC minimum qualifications for the designation apply whatever the rule set says
+    for (const norm of checkQualificationNorms(this.designation, this.qualifications)) {
+        result.criteria.push({
+            key: norm.key,
+            label: norm.label,
+            required: 'Yes',
+            actual: norm.passed ? 'Yes' : 'No',
+            unit: null,
+            passed: norm.passed,
+            shortfall: norm.passed ? 0 : 1,
+            timeBased: false
+        });
+    }
+    
+    result.eligible = result.criteria.every(c => c.passed);
+    
+    // Waiting only helps if every criterion that doesn't depend on time is already met
+    const timeBased = result.criteria.filter(c => c.timeBased);
+    if (result.eligible) {
+        result.projectedEligibilityDate = asOf;
+        result.eligibleSince = new Date(Math.max(...timeBased.map(c => c.eligibleOn.getTime())));
+    } else if (result.criteria.filter(c => !c.timeBased).every(c => c.passed)) {
+        result.projectedEligibilityDate = new Date(Math.max(...timeBased.map(c => c.eligibleOn.getTime())));
+    } else {
+        result.message = 'Eligibility depends on criteria that do not improve with time';
+    }
+    
+    return result;
+};
+
+// Method to check ratification eligibility and store the result on the record.
+// Defaults to the original hard-coded norms when no rule set is given.
+facultySchema.methods.checkRatificationEligibility = function(ruleSet = RuleSet.defaultRuleSet()) {
+    const { eligible } = this.evaluateEligibility(ruleSet);
+    
+    this.ratificationStatus.isEligible = eligible;
+    this.ratificationStatus.eligibilityRuleSetVersion = ruleSet.version;
+    return eligible;
+};
+
+// Document categories the rule set requires for this designation that have not been uploaded
+facultySchema.methods.missingDocumentCategories = function(ruleSet = RuleSet.defaultRuleSet()) {
+    const rule = ruleSet.ruleFor(this.designation);
+    if (!rule) return [];
+    
+    const uploaded = new Set((this.documents || []).map(doc => doc.category));
+    return (rule.requiredDocuments || []).filter(category => !uploaded.has(category));
+};
+
+// Set the designation, department, employment type and date of joining from the service
+// history. Returns the problems found: there must be exactly one appointment, it must come
+// first, and every later event has to change what it sets.
+facultySchema.methods.applyServiceHistory = function() {
+    const problems = [];
+    const timeline = this.serviceTimeline();
+    const appointments = timeline.filter(event => event.type === 'Appointment');
+    
+    if (appointments.length !== 1) {
+        problems.push('The service history must have exactly one appointment');
+    } else if (timeline[0] !== appointments[0]) {
+        problems.push('No service event can take effect before the appointment');
+    }
     
-    let isEligible = false;
+    const current = {};
+    for (const event of timeline) {
+        const fields = FIELDS_SET_BY[event.type];
+        const value = (field) => field === 'department' ? event.department && String(event.department._id || event.department) : event[field];
+        
+        if (event.type !== 'Appointment' && fields.every(field => current[field] === value(field))) {
+            problems.push(`The ${event.type.toLowerCase()} effective ${event.effectiveDate.toISOString().slice(0, 10)} changes nothing`);
+        }
+        fields.forEach(field => { current[field] = value(field); });
+    }
+    
+    if (appointments.length > 0) {
+        this.dateOfJoining = appointments[0].effectiveDate;
+    }
+    if (current.designation) {
+        this.designation = current.designation;
+    }
+    if (current.employmentType) {
+        this.employmentType = current.employmentType;
+    }
+    // Only reassigned when it changes, so the department check below runs for real moves only
+    if (current.department && String(this.department?._id || this.department) !== current.department) {
+        this.department = current.department;
+    }
     
-    if (this.designation === 'Assistant Professor') {
-        isEligible = yearsOfService >= 3 && this.experience.teaching >= 3 && totalPublications >= 5;
-    } else if (this.designation === 'Associate Professor') {
-        isEligible = yearsOfService >= 2 && this.experience.teaching >= 5 && totalPublications >= 10;
-    } else if (this.designation === 'Professor') {
-        isEligible = yearsOfService >= 1 && this.experience.teaching >= 8 && totalPublications >= 15;
+    return problems;
+};
+
+// A new record starts its service history with its appointment; after that the
+// derived fields follow the history
+facultySchema.pre('validate', function(next) {
+    if (this.isNew && this.serviceHistory.length === 0 && this.dateOfJoining) {
+        this.serviceHistory.push({
+            type: 'Appointment',
+            effectiveDate: this.dateOfJoining,
+            designation: this.designation,
+            department: this.department?._id || this.department,
+            employmentType: this.employmentType
+        });
+    }
+    if (this.isModified('serviceHistory') && this.serviceHistory.length > 0) {
+        this.applyServiceHistory().forEach(problem => this.invalidate('serviceHistory', problem));
+    }
+    next();
+});
+
+// The status follows the approved leave on every save
+facultySchema.pre('validate', function(next) {
+    this.syncLeaveStatus();
+    next();
+});
+
+// Keep the publication counts in step with the itemized publications.
+// Records that have never been itemized keep their entered counts.
+facultySchema.pre('validate', function(next) {
+    if (this.publicationRecords.length > 0 || this.isModified('publicationRecords')) {
+        const counts = { journals: 0, conferences: 0, books: 0 };
+        this.publicationRecords.forEach(publication => { counts[COUNT_FOR_TYPE[publication.type]]++; });
+        this.publications = counts;
+    }
+    next();
+});
+
+// Only active departments can be assigned. Checked when the department changes,
+// so faculty of a department that is later deactivated can still be updated.
+facultySchema.pre('validate', async function() {
+    if ((this.isNew || this.isModified('department')) && this.department) {
+        const problem = await Department.assignmentProblem(this.department._id || this.department);
+        if (problem) {
+            this.invalidate('department', problem);
+        }
+    }
+});
+
+// Qualifications must meet the AICTE/UGC norms for the designation. Only checked when either
+// changes, so records saved before the norms were enforced can still be updated otherwise.
+facultySchema.pre('validate', function(next) {
+    if (this.isNew || this.isModified('qualifications') || this.isModified('designation')) {
+        const violations = qualificationNormViolations(this.designation, this.qualifications);
+        if (violations.length > 0) {
+            this.invalidate('qualifications', violations.join('; '));
+        }
     }
+    next();
+});
+
+// Fields whose change invalidates an existing ratification
+const RE_RATIFICATION_FIELDS = ['designation', 'qualifications', 'experience', 'employmentType'];
+
+const actorName = (user) => user ? `${user.name} (${user.username})` : 'System';
+
+// Method to record an approved ratification
+facultySchema.methods.markRatified = function({ user, remarks, ruleSetVersion, caseNumber, eligibleSince }) {
+    const now = new Date();
+    
+    this.ratificationStatus.isRatified = true;
+    this.ratificationStatus.ratificationDate = now;
+    this.ratificationStatus.ratifiedBy = actorName(user);
+    this.ratificationStatus.ratifiedByUser = user?._id;
+    this.ratificationStatus.comments = remarks;
+    this.ratificationStatus.ruleSetVersion = ruleSetVersion;
+    this.ratificationStatus.caseNumber = caseNumber;
+    this.ratificationStatus.needsReRatification = false;
+    this.ratificationStatus.reRatificationReason = undefined;
+    
+    this.ratificationHistory.push({
+        action: 'Ratified',
+        date: now,
+        by: actorName(user),
+        byUser: user?._id,
+        designation: this.designation,
+        ruleSetVersion,
+        caseNumber,
+        remarks,
+        eligibleSince
+    });
+};
+
+// Method to withdraw a ratification
+facultySchema.methods.revokeRatification = function({ user, reason }) {
+    this.ratificationStatus.isRatified = false;
+    this.ratificationStatus.needsReRatification = false;
+    this.ratificationStatus.reRatificationReason = undefined;
+    
+    this.ratificationHistory.push({
+        action: 'Revoked',
+        by: actorName(user),
+        byUser: user?._id,
+        designation: this.designation,
+        ruleSetVersion: this.ratificationStatus.ruleSetVersion,
+        caseNumber: this.ratificationStatus.caseNumber,
+        remarks: reason
+    });
+};
+
+// Method to flag a ratified record whose ratification-relevant fields changed.
+// changedFields are dotted paths, e.g. from utils/audit diffDocuments().
+// Returns true if the record was flagged.
+facultySchema.methods.flagIfRatificationAffected = function(changedFields, user) {
+    if (!this.ratificationStatus.isRatified) return false;
+    
+    const affected = RE_RATIFICATION_FIELDS.filter(field =>
+        changedFields.some(changed => changed === field || changed.startsWith(`${field}.`))
+    );
+    if (affected.length === 0) return false;
+    
+    const reason = `Changed after ratification: ${affected.join(', ')}`;
     
-    this.ratificationStatus.isEligible = isEligible;
-    return isEligible;
+    this.ratificationStatus.needsReRatification = true;
+    this.ratificationStatus.reRatificationReason = reason;
+    
+    this.ratificationHistory.push({
+        action: 'Flagged for Re-ratification',
+        by: actorName(user),
+        byUser: user?._id,
+        designation: this.designation,
+        ruleSetVersion: this.ratificationStatus.ruleSetVersion,
+        caseNumber: this.ratificationStatus.caseNumber,
+        remarks: reason
+    });
+    return true;
+};
+
+// Bring the status of every record in line with today's approved leave (the leave job).
+// Returns how many records went on leave and how many returned.
+facultySchema.statics.syncLeaveStatuses = async function(asOf = new Date()) {
+    const onLeave = {
+        leaveRecords: {
+            $elemMatch: {
+                'approval.status': LEAVE_STATUSES.APPROVED,
+                startDate: { $lte: asOf },
+                endDate: { $gte: startOfDay(asOf) }
+            }
+        }
+    };
+    
+    const started = await this.updateMany({ status: 'Active', ...onLeave }, { $set: { status: 'On Leave' } });
+    const returned = await this.updateMany({ status: 'On Leave', $nor: [onLeave] }, { $set: { status: 'Active' } });
+    return { onLeave: started.modifiedCount, returned: returned.modifiedCount };
+};
+
+// Hide soft-deleted records from every query unless the query asks for them,
+// either by filtering on isDeleted or with the { withDeleted: true } option
+const excludeDeleted = function() {
+    if (this.getOptions().withDeleted || this.getFilter().isDeleted !== undefined) {
+        return;
+    }
+    this.where({ isDeleted: { $ne: true } });
+};
+
+['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'updateOne', 'updateMany'].forEach(operation => {
+    facultySchema.pre(operation, excludeDeleted);
+});
+
+// College and department code and name come with every faculty record
+const populateReferences = function() {
+    this.populate('college', 'code name');
+    this.populate('department', 'code name');
+};
+
+['find', 'findOne', 'findOneAndUpdate'].forEach(operation => {
+    facultySchema.pre(operation, populateReferences);
+});
+
+facultySchema.pre('aggregate', function() {
+    if (this.options.withDeleted) {
+        return;
+    }
+    // Added to a leading $match, which may hold a $text search that has to stay the first stage
+    const [first] = this.pipeline();
+    if (first?.$match && first.$match.isDeleted === undefined) {
+        first.$match.isDeleted = { $ne: true };
+        return;
+    }
+    this.pipeline().unshift({ $match: { isDeleted: { $ne: true } } });
+});
+
+// Words the search finds a faculty member by besides the indexed fields: the department code and
+// name, and each qualification's level, degree (as entered, canonical and without punctuation, so
+// "phd" finds "Ph.D") and specialization
+const searchTextFor = (faculty, department) => {
+    const words = [department?.code, department?.name];
+    for (const qualification of faculty.qualifications || []) {
+        words.push(
+            qualification.level,
+            qualification.degree,
+            parseQualification(qualification.degree).degree,
+            normalizeDegree(qualification.degree),
+            qualification.specialization
+        );
+    }
+    return [...new Set(words.filter(Boolean))].join(' ');
+};
+
+// Every word of the fields the text index covers. The text index only matches whole words, so
+// the search matches the start of a word against these, with an anchored and so indexed regex.
+const searchWordsFor = (faculty, searchText) => {
+    const texts = [
+        faculty.firstName,
+        faculty.lastName,
+        faculty.employeeId,
+        faculty.email,
+        searchText,
+        ...(faculty.publicationRecords || []).map(publication => publication.title)
+    ];
+    return [...new Set(texts.flatMap(searchWordsOf))];
+};
+
+// The department is populated on records loaded by a query; otherwise it is looked up
+facultySchema.pre('save', async function() {
+    let department = this.department;
+    if (department && !department.name) {
+        department = await Department.findById(department).select('code name').lean();
+    }
+    this.searchText = searchTextFor(this, department);
+    this.searchWords = searchWordsFor(this, this.searchText);
+});
+
+// Recompute the search text of the matching records, deleted ones included, without other
+// middleware; used when a department is renamed and by migrateSearchText.js. Returns the count.
+facultySchema.statics.refreshSearchText = async function(filter = {}) {
+    let updated = 0;
+    const cursor = this.find(filter)
+        .setOptions({ withDeleted: true })
+        .select('firstName lastName employeeId email department qualifications publicationRecords.title')
+        .cursor();
+    for await (const faculty of cursor) {
+        const searchText = searchTextFor(faculty, faculty.department);
+        await this.collection.updateOne({ _id: faculty._id }, {
+            $set: { searchText, searchWords: searchWordsFor(faculty, searchText) }
+        });
+        updated++;
+    }
+    return updated;
 };
 
 // Indexes for better performance
 facultySchema.index({ email: 1 });
+// Full-text search (see utils/facultySearch.js); names and the employee ID rank highest
+facultySchema.index({
+    firstName: 'text',
+    lastName: 'text',
+    employeeId: 'text',
+    email: 'text',
+    searchText: 'text',
+    'publicationRecords.title': 'text'
+}, {
+    name: 'faculty_search',
+    weights: {
+        firstName: 10,
+        lastName: 10,
+        employeeId: 10,
+        email: 5,
+        searchText: 3,
+        'publicationRecords.title': 1
+    }
+});
+facultySchema.index({ searchWords: 1 });
 facultySchema.index({ employeeId: 1 });
+facultySchema.index({ aicteId: 1 });
+facultySchema.index({ pan: 1 });
+facultySchema.index({ dateOfBirth: 1 });
+facultySchema.index({ college: 1, department: 1 });
 facultySchema.index({ department: 1 });
 facultySchema.index({ designation: 1 });
+facultySchema.index({ employmentType: 1 });
 facultySchema.index({ 'ratificationStatus.isRatified': 1 });
+facultySchema.index({ 'ratificationStatus.needsReRatification': 1 });
+facultySchema.index({ isDeleted: 1, deletedAt: 1 });
+facultySchema.index({ status: 1, 'leaveRecords.approval.status': 1 });
 
 module.exports = mongoose.model('Faculty', facultySchema);
\ No newline at end of file
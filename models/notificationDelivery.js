@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const { NOTIFICATION_EVENTS, DELIVERY_STATUSES } = require('../config/notifications');
+
+// One email to one recipient, with its delivery attempts (see utils/notifications.js)
+const notificationDeliverySchema = new mongoose.Schema({
+    event: {
+        type: String,
+        required: true,
+        enum: Object.keys(NOTIFICATION_EVENTS)
+    },
+    mandatory: {
+        type: Boolean,
+        default: false
+    },
+    to: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true
+    },
+    // Rendered when the notice was raised, so a retry sends the same text
+    subject: {
+        type: String,
+        required: true
+    },
+    body: {
+        type: String,
+        required: true
+    },
+    faculty: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Faculty'
+    },
+    college: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'College'
+    },
+    status: {
+        type: String,
+        required: true,
+        enum: Object.values(DELIVERY_STATUSES),
+        default: DELIVERY_STATUSES.PENDING
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    // When a pending delivery is next tried
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastAttemptAt: Date,
+    lastError: String,
+    sentAt: Date,
+    messageId: String,
+    // Why a skipped notice was not sent (opted out, sending turned off)
+    skipReason: String
+}, {
+    timestamps: true
+});
+
+notificationDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+notificationDeliverySchema.index({ createdAt: -1 });
+notificationDeliverySchema.index({ faculty: 1, createdAt: -1 });
+
+module.exports = mongoose.model('NotificationDelivery', notificationDeliverySchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const { NOTIFICATION_EVENTS } = require('../config/notifications');
+
+// Notices an email address does not want. Kept by address, so principals and faculty members
+// without a user account can opt out too (through the link in each notice). Mandatory notices
+// are sent regardless.
+const notificationOptOutSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true
+    },
+    events: [{
+        type: String,
+        enum: Object.keys(NOTIFICATION_EVENTS)
+    }]
+}, {
+    timestamps: true
+});
+
+// The events an address opted out of
+notificationOptOutSchema.statics.eventsFor = async function(email) {
+    if (!email) return [];
+    const optOut = await this.findOne({ email: email.toLowerCase() }).lean();
+    return optOut?.events || [];
+};
+
+module.exports = mongoose.model('NotificationOptOut', notificationOptOutSchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const { NOTIFICATION_EVENTS } = require('../config/notifications');
+
+// An admin's replacement for the default template of a notification event.
+// Events without one use the text in config/notifications.js.
+const notificationTemplateSchema = new mongoose.Schema({
+    event: {
+        type: String,
+        required: true,
+        unique: true,
+        enum: Object.keys(NOTIFICATION_EVENTS)
+    },
+    subject: {
+        type: String,
+        required: [true, 'Subject is required'],
+        trim: true,
+        maxlength: [300, 'Subject cannot exceed 300 characters']
+    },
+    body: {
+        type: String,
+        required: [true, 'Body is required'],
+        trim: true,
+        maxlength: [10000, 'Body cannot exceed 10000 characters']
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedByName: String
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('NotificationTemplate', notificationTemplateSchema);
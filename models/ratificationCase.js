@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+const { hasPermission } = require('../config/roles');
+
+const STAGES = {
+    SUBMITTED: 'Submitted',
+    HOD_RECOMMENDED: 'HOD Recommended',
+    COMMITTEE_SCRUTINIZED: 'Committee Scrutinized',
+    APPROVED: 'Approved',
+    RETURNED: 'Returned',
+    REJECTED: 'Rejected'
+};
+
+// Stages still waiting for someone to act, in processing order
+const OPEN_STAGES = [STAGES.SUBMITTED, STAGES.HOD_RECOMMENDED, STAGES.COMMITTEE_SCRUTINIZED, STAGES.RETURNED];
+
+// Who acts at each stage, and where "advance" takes the case.
+// college submission -> HOD recommendation -> committee scrutiny -> Registrar/VC approval
+const WORKFLOW = {
+    [STAGES.SUBMITTED]: {
+        permission: 'ratification:recommend',
+        advanceTo: STAGES.HOD_RECOMMENDED
+    },
+    [STAGES.HOD_RECOMMENDED]: {
+        permission: 'ratification:scrutinize',
+        advanceTo: STAGES.COMMITTEE_SCRUTINIZED
+    },
+    [STAGES.COMMITTEE_SCRUTINIZED]: {
+        permission: 'ratification:approve',
+        advanceTo: STAGES.APPROVED
+    },
+    [STAGES.RETURNED]: {
+        permission: 'ratification:submit',
+        resubmitTo: STAGES.SUBMITTED
+    }
+};
+
+const ACTIONS = ['submit', 'advance', 'return', 'reject', 'resubmit'];
+
+const stepSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        required: true,
+        enum: ACTIONS
+    },
+    fromStage: String,
+    toStage: {
+        type: String,
+        required: true
+    },
+    remarks: {
+        type: String,
+        trim: true,
+        maxlength: [2000, 'Remarks cannot exceed 2000 characters']
+    },
+    by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    byName: String,
+    byRole: String,
+    at: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const ratificationCaseSchema = new mongoose.Schema({
+    caseNumber: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    faculty: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Faculty',
+        required: true
+    },
+    // College of the faculty member, for college-scoped queues
+    college: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'College'
+    },
+    // Details at submission time, so the queue stays readable if the record changes
+    facultySnapshot: {
+        name: String,
+        employeeId: String,
+        college: String,
+        department: String,
+        designation: String
+    },
+    stage: {
+        type: String,
+        required: true,
+        enum: Object.values(STAGES),
+        default: STAGES.SUBMITTED
+    },
+    steps: [stepSchema],
+    submittedAt: {
+        type: Date,
+        default: Date.now
+    },
+    closedAt: Date,
+    // Rule set version eligibility was checked against at approval
+    ruleSetVersion: Number
+}, {
+    timestamps: true
+});
+
+ratificationCaseSchema.virtual('isOpen').get(function() {
+    return OPEN_STAGES.includes(this.stage);
+});
+
+// Target stage and required permission for an action from the current stage, or null if not allowed
+ratificationCaseSchema.methods.transitionFor = function(action) {
+    const step = WORKFLOW[this.stage];
+    if (!step) return null;
+
+    if (action === 'advance' && step.advanceTo) {
+        return { to: step.advanceTo, permission: step.permission };
+    }
+    if ((action === 'return' || action === 'reject') && step.advanceTo) {
+        return {
+            to: action === 'return' ? STAGES.RETURNED : STAGES.REJECTED,
+            permission: step.permission
+        };
+    }
+    if (action === 'resubmit' && step.resubmitTo) {
+        return { to: step.resubmitTo, permission: step.permission };
+    }
+    return null;
+};
+
+// Actions the given role may take on this case right now
+ratificationCaseSchema.methods.allowedActions = function(role) {
+    return ['advance', 'return', 'reject', 'resubmit'].filter(action => {
+        const transition = this.transitionFor(action);
+        return transition && hasPermission(role, transition.permission);
+    });
+};
+
+// Record a step and move the case to its new stage
+ratificationCaseSchema.methods.recordStep = function(action, toStage, user, remarks) {
+    this.steps.push({
+        action,
+        fromStage: action === 'submit' ? null : this.stage,
+        toStage,
+        remarks,
+        by: user._id,
+        byName: user.name,
+        byRole: user.role,
+        at: new Date()
+    });
+    this.stage = toStage;
+    if (!OPEN_STAGES.includes(toStage)) {
+        this.closedAt = new Date();
+    }
+};
+
+ratificationCaseSchema.statics.nextCaseNumber = async function() {
+    const year = new Date().getFullYear();
+    const prefix = `RC-${year}-`;
+    const latest = await this.findOne({ caseNumber: { $regex: `^${prefix}` } })
+        .sort({ caseNumber: -1 })
+        .select('caseNumber')
+        .lean();
+    const next = latest ? parseInt(latest.caseNumber.slice(prefix.length)) + 1 : 1;
+    return `${prefix}${String(next).padStart(5, '0')}`;
+};
+
+ratificationCaseSchema.set('toJSON', { virtuals: true });
+ratificationCaseSchema.set('toObject', { virtuals: true });
+
+ratificationCaseSchema.index({ stage: 1, updatedAt: -1 });
+ratificationCaseSchema.index({ faculty: 1, stage: 1 });
+ratificationCaseSchema.index({ college: 1, stage: 1 });
+
+const RatificationCase = mongoose.model('RatificationCase', ratificationCaseSchema);
+
+RatificationCase.STAGES = STAGES;
+RatificationCase.OPEN_STAGES = OPEN_STAGES;
+
+module.exports = RatificationCase;
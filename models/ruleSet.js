@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+const { DOCUMENT_CATEGORIES } = require('../config/documents');
+const { PUBLICATION_INDEXING } = require('../config/publications');
+
+const DESIGNATIONS = ['Professor', 'Associate Professor', 'Assistant Professor'];
+
+// Thresholds in force before rule sets were stored in the database.
+// Used as version 0 when no rule set has been created yet.
+const DEFAULT_RULES = [
+    {
+        designation: 'Assistant Professor',
+        minYearsOfService: 3,
+        minTeachingExperience: 3,
+        minTotalPublications: 5
+    },
+    {
+        designation: 'Associate Professor',
+        minYearsOfService: 2,
+        minTeachingExperience: 5,
+        minTotalPublications: 10
+    },
+    {
+        designation: 'Professor',
+        minYearsOfService: 1,
+        minTeachingExperience: 8,
+        minTotalPublications: 15
+    }
+];
+
+const designationRuleSchema = new mongoose.Schema({
+    designation: {
+        type: String,
+        required: [true, 'Designation is required'],
+        enum: {
+            values: DESIGNATIONS,
+            message: 'Invalid designation'
+        }
+    },
+    minYearsOfService: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Years since the appointment or promotion to the current designation (see serviceHistory)
+    minYearsInDesignation: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    minTeachingExperience: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    minTotalPublications: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Publication mix - minimums per publication type
+    minJournals: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    minConferences: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    minBooks: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // When set, only itemized publications with one of these indexings count towards
+    // the publication minimums; bare counts without records then count as zero
+    countedIndexing: [{
+        type: String,
+        enum: {
+            values: PUBLICATION_INDEXING.filter(indexing => indexing !== 'None'),
+            message: 'Invalid indexing'
+        }
+    }],
+    // Every qualification listed here must be held (matched ignoring case and punctuation)
+    requiredQualifications: [{
+        type: String,
+        trim: true
+    }],
+    // Document categories that must be uploaded before a ratification case can be approved
+    requiredDocuments: [{
+        type: String,
+        enum: {
+            values: DOCUMENT_CATEGORIES,
+            message: 'Invalid document category'
+        }
+    }]
+}, { _id: false });
+
+const ruleSetSchema = new mongoose.Schema({
+    version: {
+        type: Number,
+        required: true,
+        unique: true,
+        immutable: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Rule set name is required'],
+        trim: true,
+        maxlength: [200, 'Name cannot exceed 200 characters']
+    },
+    circularReference: {
+        type: String,
+        trim: true
+    },
+    effectiveFrom: {
+        type: Date,
+        required: [true, 'Effective-from date is required']
+    },
+    rules: {
+        type: [designationRuleSchema],
+        validate: {
+            validator: function(rules) {
+                const designations = rules.map(rule => rule.designation);
+                return new Set(designations).size === designations.length;
+            },
+            message: 'Each designation can only have one rule'
+        }
+    },
+    notes: String,
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdByName: String
+}, {
+    timestamps: true
+});
+
+// Get the rule for a designation, if this rule set defines one
+ruleSetSchema.methods.ruleFor = function(designation) {
+    return this.rules.find(rule => rule.designation === designation) || null;
+};
+
+// Unsaved version 0 holding the original hard-coded thresholds
+ruleSetSchema.statics.defaultRuleSet = function() {
+    return new this({
+        version: 0,
+        name: 'Default JNTUK ratification norms',
+        effectiveFrom: new Date(0),
+        rules: DEFAULT_RULES
+    });
+};
+
+// Rule set in force on a given date: the latest one whose effective-from date has passed
+ruleSetSchema.statics.findEffective = async function(date = new Date()) {
+    const ruleSet = await this.findOne({ effectiveFrom: { $lte: date } })
+        .sort({ effectiveFrom: -1, version: -1 });
+    return ruleSet || this.defaultRuleSet();
+};
+
+ruleSetSchema.statics.nextVersion = async function() {
+    const latest = await this.findOne().sort({ version: -1 }).select('version').lean();
+    return (latest?.version || 0) + 1;
+};
+
+ruleSetSchema.index({ effectiveFrom: -1, version: -1 });
+
+const RuleSet = mongoose.model('RuleSet', ruleSetSchema);
+
+RuleSet.DESIGNATIONS = DESIGNATIONS;
+RuleSet.DEFAULT_RULES = DEFAULT_RULES;
+
+module.exports = RuleSet;
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { ALL_ROLES, permissionsForRole, isCollegeScoped } = require('../config/roles');
+
+const userSchema = new mongoose.Schema({
+    username: {
+        type: String,
+        required: [true, 'Username is required'],
+        unique: true,
+        lowercase: true,
+        trim: true,
+        minlength: [3, 'Username must be at least 3 characters'],
+        maxlength: [30, 'Username cannot exceed 30 characters']
+    },
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true,
+        maxlength: [100, 'Name cannot exceed 100 characters']
+    },
+    email: {
+        type: String,
+        lowercase: true,
+        trim: true,
+        match: [/^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/, 'Invalid email format']
+    },
+    passwordHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+    role: {
+        type: String,
+        required: [true, 'Role is required'],
+        enum: {
+            values: ALL_ROLES,
+            message: 'Invalid role'
+        }
+    },
+    // College the user works for; College Admins and HODs only see this college's faculty
+    college: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'College',
+        required: [function() { return isCollegeScoped(this.role); }, 'A college is required for this role']
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    lastLogin: Date
+}, {
+    timestamps: true
+});
+
+// Method to set a new password (stores only the bcrypt hash)
+userSchema.methods.setPassword = async function(password) {
+    if (!password || password.length < 8) {
+        throw new Error('Password must be at least 8 characters');
+    }
+    this.passwordHash = await bcrypt.hash(password, 10);
+};
+
+// Method to verify a login attempt
+userSchema.methods.comparePassword = function(password) {
+    return bcrypt.compare(password || '', this.passwordHash || '');
+};
+
+// Public profile sent to the browser, including the permissions for the role
+userSchema.methods.toProfile = function() {
+    return {
+        _id: this._id,
+        username: this.username,
+        name: this.name,
+        email: this.email,
+        role: this.role,
+        college: this.college,
+        collegeScoped: isCollegeScoped(this.role),
+        isActive: this.isActive,
+        lastLogin: this.lastLogin,
+        permissions: permissionsForRole(this.role)
+    };
+};
+
+userSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.passwordHash;
+        delete ret.__v;
+        return ret;
+    }
+});
+
+module.exports = mongoose.model('User', userSchema);
@@ -1,6 +1,10 @@
 // Global variables
 let facultyData = [];
+let facultyPage = 1;
+let facultyPagination = null;
 let currentEditId = null;
+let authToken = localStorage.getItem('authToken');
+let currentUser = null;
 
 // DOM Elements
 const sections = document.querySelectorAll('.section');
@@ -18,6 +22,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     
     // Setup form submission
     setupFormSubmission();
+    setupQualificationRows();
     
     // Setup filters
     setupFilters();
@@ -25,37 +30,219 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Setup phone formatting and validation
     setupPhoneFormatting();
     
-    // Load initial data
-    await loadFacultyData();
+    // Setup login and logout
+    setupAuth();
+    
+    // Setup detail modal
+    setupModal();
+    
+    document.getElementById('purgeRecycleBinBtn').addEventListener('click', purgeRecycleBin);
+    document.getElementById('exportFacultyBtn').addEventListener('click', openExportDialog);
+    document.getElementById('ratificationCollegeFilter').addEventListener('change', () => {
+        candidatePage = 1;
+        loadRatificationData();
+    });
+    document.getElementById('scanDuplicatesBtn').addEventListener('click', scanDuplicates);
+    document.getElementById('runEligibilityBtn').addEventListener('click', runEligibilityRecomputation);
+    document.getElementById('notificationPreferencesBtn').addEventListener('click', showNotificationPreferences);
+    
+    // Setup new rule set form
+    setupRuleSetForm();
+    
+    // Setup dashboard filters and compliance report form
+    setupDashboardFilters();
+    setupComplianceForm();
     
-    // Update dashboard
-    updateDashboard();
+    // Setup new college and department forms
+    setupCollegeForm();
+    setupDepartmentForm();
+    
+    // Setup bulk import form
+    setupImportForm();
     
     // Test backend connection
     testBackendConnection();
     
+    // Resume an existing session, otherwise ask the user to log in
+    if (await restoreSession()) {
+        await startApp();
+    } else {
+        showLogin();
+    }
+    
     console.log('✅ App initialization complete');
 });
 
+// Load data for a logged-in user
+async function startApp() {
+    applyPermissions();
+    
+    // Load initial data
+    await loadColleges();
+    await loadDepartments();
+    
+    // A bookmarked faculty list opens with its filters
+    const bookmarked = restoreFacultyFilters();
+    await loadFacultyData();
+    
+    const section = bookmarked ? 'viewFaculty' : 'dashboard';
+    showSection(section);
+    navButtons.forEach(btn => btn.classList.remove('active'));
+    document.getElementById(`${section}Btn`).classList.add('active');
+}
+
+// Authentication
+function setupAuth() {
+    const loginForm = document.getElementById('loginForm');
+    const logoutBtn = document.getElementById('logoutBtn');
+    
+    if (loginForm) {
+        loginForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await login(e.target.elements.username.value.trim(), e.target.elements.password.value);
+        });
+    }
+    
+    if (logoutBtn) {
+        logoutBtn.addEventListener('click', logout);
+    }
+}
+
+async function login(username, password) {
+    try {
+        showLoading(true);
+        
+        const response = await fetch('/api/auth/login', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ username, password })
+        });
+        
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        authToken = result.data.token;
+        currentUser = result.data.user;
+        localStorage.setItem('authToken', authToken);
+        
+        document.getElementById('loginForm').reset();
+        showMessage(`Welcome, ${currentUser.name}!`, 'success', 3000);
+        
+        await startApp();
+    } catch (error) {
+        console.error('❌ Login failed:', error);
+        showMessage('Login failed: ' + error.message, 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+function logout() {
+    authToken = null;
+    currentUser = null;
+    facultyData = [];
+    facultyPage = 1;
+    localStorage.removeItem('authToken');
+    showLogin();
+    showMessage('Logged out', 'info', 3000);
+}
+
+// Check the stored token and load the current user's profile
+async function restoreSession() {
+    if (!authToken) return false;
+    
+    try {
+        const response = await apiFetch('/api/auth/me');
+        if (!response.ok) return false;
+        
+        const result = await response.json();
+        currentUser = result.data;
+        return true;
+    } catch (error) {
+        console.error('❌ Could not restore session:', error);
+        return false;
+    }
+}
+
+function showLogin() {
+    document.getElementById('mainNav').classList.add('hidden');
+    document.getElementById('userInfo').classList.add('hidden');
+    sections.forEach(section => section.classList.remove('active'));
+    document.getElementById('login').classList.add('active');
+}
+
+// Check whether the logged-in user's role grants a permission
+function can(permission) {
+    return !!currentUser && currentUser.permissions.includes(permission);
+}
+
+// Show the user bar and hide every element the user's role can't use
+function applyPermissions() {
+    document.getElementById('currentUserName').textContent = currentUser.name;
+    document.getElementById('currentUserRole').textContent = currentUser.role;
+    document.getElementById('userInfo').classList.remove('hidden');
+    document.getElementById('mainNav').classList.remove('hidden');
+    
+    document.querySelectorAll('[data-permission]').forEach(element => {
+        element.classList.toggle('hidden', !can(element.dataset.permission));
+    });
+    
+    // College-scoped users only ever see their own college
+    document.querySelectorAll('[data-college-picker]').forEach(element => {
+        element.classList.toggle('hidden', currentUser.collegeScoped);
+    });
+}
+
+// fetch() wrapper that sends the session token and handles expired sessions
+async function apiFetch(url, options = {}) {
+    const headers = { ...(options.headers || {}) };
+    if (authToken) {
+        headers['Authorization'] = `Bearer ${authToken}`;
+    }
+    
+    const response = await fetch(url, { ...options, headers });
+    
+    if (response.status === 401 && currentUser) {
+        logout();
+        showMessage('Your session has expired. Please log in again.', 'error');
+    }
+    
+    return response;
+}
+
 // CRITICAL: API Functions for Backend Communication
 async function loadFacultyData() {
     try {
         showLoading(true);
         console.log('📡 Loading faculty data from backend...');
         
-        const response = await fetch('/api/faculty');
+        const params = facultyListQuery();
+        params.set('limit', FACULTY_PAGE_SIZE);
+        const response = await apiFetch(`/api/faculty?${params}`);
+        const result = await response.json();
         
+        // An invalid search is reported with its reason
         if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
         }
         
-        const result = await response.json();
-        
         if (result.success) {
+            // The page can run past the end when records on the last page are deleted
+            if (facultyPage > 1 && facultyPage > result.pagination.pages) {
+                facultyPage = Math.max(result.pagination.pages, 1);
+                syncFacultyUrl();
+                return loadFacultyData();
+            }
+            
             facultyData = result.data;
-            console.log(`✅ Loaded ${facultyData.length} faculty records`);
+            facultyPagination = result.pagination;
+            console.log(`✅ Loaded ${facultyData.length} of ${facultyPagination.total} faculty records`);
             displayFacultyList();
-            updateDashboard();
         } else {
             throw new Error(result.message || 'Failed to load faculty data');
         }
@@ -74,7 +261,7 @@ async function saveFaculty(facultyData) {
         showLoading(true);
         console.log('💾 Saving faculty data:', facultyData);
         
-        const response = await fetch('/api/faculty', {
+        const response = await apiFetch('/api/faculty', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
@@ -109,13 +296,17 @@ async function saveFaculty(facultyData) {
     }
 }
 
-async function deleteFaculty(id) {
+async function deleteFaculty(id, reason) {
     try {
         showLoading(true);
         console.log('🗑️ Deleting faculty ID:', id);
         
-        const response = await fetch(`/api/faculty/${id}`, {
-            method: 'DELETE'
+        const response = await apiFetch(`/api/faculty/${id}`, {
+            method: 'DELETE',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ reason })
         });
         
         const result = await response.json();
@@ -125,8 +316,8 @@ async function deleteFaculty(id) {
         }
         
         if (result.success) {
-            console.log('✅ Faculty deleted successfully');
-            showMessage('Faculty deleted successfully!', 'success');
+            console.log('✅ Faculty moved to Recycle Bin');
+            showMessage('Faculty moved to the Recycle Bin.', 'success');
             
             // Reload data
             await loadFacultyData();
@@ -142,6 +333,78 @@ async function deleteFaculty(id) {
     }
 }
 
+// Qualification levels and classes (see config/qualifications.js)
+const QUALIFICATION_LEVELS = ['Diploma', 'UG', 'PG', 'M.Phil', 'Doctorate', 'Post-Doctorate'];
+const QUALIFICATION_CLASSES = ['Distinction', 'First Class', 'Second Class', 'Pass'];
+
+// Structured qualification rows in the add/edit form
+function setupQualificationRows() {
+    document.getElementById('addQualificationBtn').addEventListener('click', () => addQualificationRow());
+    
+    // Back to a single empty row whenever the form is cleared
+    document.getElementById('facultyForm').addEventListener('reset', () => setQualificationRows([]));
+    
+    setQualificationRows([]);
+}
+
+function setQualificationRows(qualifications) {
+    document.getElementById('qualificationRows').innerHTML = '';
+    if (qualifications.length === 0) {
+        addQualificationRow();
+    } else {
+        qualifications.forEach(qualification => addQualificationRow(qualification));
+    }
+}
+
+function addQualificationRow(qualification = {}) {
+    const row = document.createElement('tr');
+    // Kept so an unchanged qualification is not recorded as replaced
+    if (qualification._id) row.dataset.id = qualification._id;
+    row.innerHTML = `
+        <td>
+            <select data-field="level">
+                <option value="">Level</option>
+                ${QUALIFICATION_LEVELS.map(level => `<option value="${level}" ${qualification.level === level ? 'selected' : ''}>${level}</option>`).join('')}
+            </select>
+        </td>
+        <td><input type="text" data-field="degree" value="${escapeHtml(qualification.degree || '')}" placeholder="M.Tech"></td>
+        <td><input type="text" data-field="specialization" value="${escapeHtml(qualification.specialization || '')}"></td>
+        <td><input type="text" data-field="university" value="${escapeHtml(qualification.university || '')}"></td>
+        <td><input type="number" data-field="yearOfAward" value="${qualification.yearOfAward || ''}" min="1950" max="${new Date().getFullYear()}"></td>
+        <td>
+            <select data-field="classObtained">
+                <option value="">-</option>
+                ${QUALIFICATION_CLASSES.map(name => `<option value="${name}" ${qualification.classObtained === name ? 'selected' : ''}>${name}</option>`).join('')}
+            </select>
+        </td>
+        <td><input type="number" data-field="percentage" value="${qualification.percentage ?? ''}" min="0" max="100" step="0.01"></td>
+        <td><button type="button" class="btn-delete" title="Remove">✖</button></td>
+    `;
+    row.querySelector('.btn-delete').addEventListener('click', () => {
+        row.remove();
+        if (!document.querySelector('#qualificationRows tr')) addQualificationRow();
+    });
+    document.getElementById('qualificationRows').appendChild(row);
+}
+
+// Qualification rows as sent to the API; rows without a degree name are skipped
+function readQualificationRows() {
+    return [...document.querySelectorAll('#qualificationRows tr')]
+        .map(row => {
+            const value = field => row.querySelector(`[data-field="${field}"]`).value.trim();
+            const qualification = { level: value('level'), degree: value('degree') };
+            if (row.dataset.id) qualification._id = row.dataset.id;
+            ['specialization', 'university', 'classObtained'].forEach(field => {
+                if (value(field)) qualification[field] = value(field);
+            });
+            ['yearOfAward', 'percentage'].forEach(field => {
+                if (value(field)) qualification[field] = Number(value(field));
+            });
+            return qualification;
+        })
+        .filter(qualification => qualification.degree);
+}
+
 // FIXED Form submission handler
 function setupFormSubmission() {
     const facultyForm = document.getElementById('facultyForm');
@@ -169,10 +432,16 @@ function setupFormSubmission() {
                 lastName: formElements.lastName?.value?.trim() || '',
                 email: formElements.email?.value?.trim() || '',
                 employeeId: formElements.employeeId?.value?.trim() || '',
+                aicteId: formElements.aicteId?.value?.trim() || '',
+                pan: formElements.pan?.value?.trim() || '',
+                dateOfBirth: formElements.dateOfBirth?.value || '',
+                college: formElements.college?.value || '',
                 department: formElements.department?.value?.trim() || '',
                 designation: formElements.designation?.value?.trim() || '',
                 dateOfJoining: formElements.dateOfJoining?.value?.trim() || '',
-                qualifications: formElements.qualifications?.value?.trim() || '',
+                employmentType: formElements.employmentType?.value || 'Regular',
+                appointmentOrderNumber: formElements.appointmentOrderNumber?.value?.trim() || '',
+                qualifications: readQualificationRows(),
                 teachingExperience: formElements.teachingExperience?.value?.trim() || '0',
                 industryExperience: formElements.industryExperience?.value?.trim() || '0',
                 researchExperience: formElements.researchExperience?.value?.trim() || '0',
@@ -190,10 +459,10 @@ function setupFormSubmission() {
                 'lastName': 'Last Name', 
                 'email': 'Email',
                 'employeeId': 'Employee ID',
+                'college': 'College',
                 'department': 'Department',
                 'designation': 'Designation',
                 'dateOfJoining': 'Date of Joining',
-                'qualifications': 'Qualifications',
                 'teachingExperience': 'Teaching Experience',
                 'phone': 'Phone Number'
             };
@@ -237,14 +506,14 @@ function setupFormSubmission() {
             }
             
             // Process qualifications
-            const qualifications = data.qualifications
-                .split(',')
-                .map(q => q.trim())
-                .filter(q => q.length > 0);
+            const qualifications = data.qualifications;
             
             if (qualifications.length === 0) {
                 throw new Error('Please enter at least one qualification');
             }
+            if (qualifications.some(q => !q.level)) {
+                throw new Error('Please choose the level of every qualification');
+            }
             
             // Structure the data according to your backend schema
             const facultyData = {
@@ -252,9 +521,14 @@ function setupFormSubmission() {
                 lastName: data.lastName,
                 email: data.email.toLowerCase(),
                 employeeId: data.employeeId.toUpperCase(),
+                aicteId: data.aicteId.toUpperCase(),
+                pan: data.pan.toUpperCase(),
+                dateOfBirth: data.dateOfBirth || null,
+                college: data.college,
                 department: data.department,
                 designation: data.designation,
                 dateOfJoining: data.dateOfJoining,
+                employmentType: data.employmentType,
                 qualifications: qualifications,
                 experience: {
                     teaching: parseInt(data.teachingExperience) || 0,
@@ -272,12 +546,17 @@ function setupFormSubmission() {
             
             console.log('📊 Structured faculty data for backend:', facultyData);
             
+            // The appointment order number goes on the new record's service history
+            if (!currentEditId && data.appointmentOrderNumber) {
+                facultyData.appointmentOrderNumber = data.appointmentOrderNumber;
+            }
+            
             // Check if we're in edit mode or add mode
             if (currentEditId) {
                 // UPDATE existing faculty
                 console.log('🔄 Updating existing faculty with ID:', currentEditId);
                 
-                const response = await fetch(`/api/faculty/${currentEditId}`, {
+                const response = await apiFetch(`/api/faculty/${currentEditId}`, {
                     method: 'PUT',
                     headers: {
                         'Content-Type': 'application/json'
@@ -306,7 +585,7 @@ function setupFormSubmission() {
                 
                 if (result.success) {
                     console.log('✅ Faculty updated successfully:', result.data);
-                    showMessage('✅ Faculty member updated successfully!', 'success');
+                    showMessage(result.suspectedDuplicates ? `⚠️ ${result.message}` : '✅ Faculty member updated successfully!', result.suspectedDuplicates ? 'info' : 'success');
                     
                     // Reset edit mode
                     currentEditId = null;
@@ -332,7 +611,7 @@ function setupFormSubmission() {
                 // ADD new faculty
                 console.log('➕ Adding new faculty');
                 
-                const response = await fetch('/api/faculty', {
+                const response = await apiFetch('/api/faculty', {
                     method: 'POST',
                     headers: {
                         'Content-Type': 'application/json'
@@ -362,7 +641,7 @@ function setupFormSubmission() {
                 
                 if (result.success) {
                     console.log('✅ Faculty saved successfully:', result.data);
-                    showMessage('✅ Faculty member added successfully!', 'success');
+                    showMessage(result.suspectedDuplicates ? `⚠️ ${result.message}` : '✅ Faculty member added successfully!', result.suspectedDuplicates ? 'info' : 'success');
                     
                     // Reset form
                     e.target.reset();
@@ -505,6 +784,102 @@ function setupFormValidation() {
     }
 }
 
+// Bulk import
+function setupImportForm() {
+    const form = document.getElementById('importForm');
+    
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        
+        const dryRun = e.submitter?.id !== 'importCommitBtn';
+        const file = document.getElementById('importFile').files[0];
+        if (!file) {
+            showMessage('Please choose a CSV or XLSX file', 'error');
+            return;
+        }
+        
+        const formData = new FormData();
+        formData.append('file', file);
+        formData.append('mode', document.getElementById('importMode').value);
+        formData.append('dryRun', String(dryRun));
+        
+        try {
+            showLoading(true);
+            
+            const response = await apiFetch('/api/faculty/import', {
+                method: 'POST',
+                body: formData
+            });
+            const result = await response.json();
+            
+            if (!result.summary) {
+                throw new Error(result.message || `HTTP error! status: ${response.status}`);
+            }
+            
+            displayImportReport(result);
+            showMessage(result.message, result.success ? 'success' : 'error');
+            
+            if (!dryRun && result.summary.created > 0) {
+                await loadFacultyData();
+            }
+        } catch (error) {
+            console.error('❌ Error importing faculty:', error);
+            document.getElementById('importReport').innerHTML = '';
+            showMessage('Error importing faculty: ' + error.message, 'error');
+        } finally {
+            showLoading(false);
+        }
+    });
+}
+
+const IMPORT_STATUS_LABELS = {
+    valid: '✅ Valid',
+    invalid: '❌ Invalid',
+    created: '📥 Imported',
+    skipped: '⏭️ Skipped'
+};
+
+function displayImportReport(result) {
+    const { summary } = result;
+    const container = document.getElementById('importReport');
+    
+    container.innerHTML = `
+        <h3 class="subsection-title">${summary.dryRun ? 'Dry Run Report' : 'Import Report'}</h3>
+        <p class="eligibility-summary ${summary.invalid === 0 ? 'eligible' : 'ineligible'}">
+            ${summary.total} rows · ${summary.valid} valid · ${summary.invalid} invalid
+            ${summary.dryRun ? '' : ` · ${summary.created} imported · ${summary.skipped} skipped`}
+        </p>
+        ${summary.suspectedDuplicates ? `<p class="eligibility-summary ineligible">🔎 ${summary.suspectedDuplicates} imported record(s) look like existing faculty and were sent for duplicate review</p>` : ''}
+        ${result.unknownColumns?.length ? `<p class="section-note">Ignored columns: ${result.unknownColumns.map(escapeHtml).join(', ')}</p>` : ''}
+        <div class="rules-table-wrapper">
+            <table class="rules-table import-table">
+                <thead>
+                    <tr>
+                        <th>Row</th>
+                        <th>Name</th>
+                        <th>Employee ID</th>
+                        <th>Email</th>
+                        <th>Status</th>
+                        <th>Errors</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${result.data.map(entry => `
+                        <tr class="${entry.errors.length ? 'import-row-invalid' : ''}">
+                            <td>${entry.row}</td>
+                            <td>${escapeHtml(entry.name)}</td>
+                            <td>${escapeHtml(entry.employeeId)}</td>
+                            <td>${escapeHtml(entry.email)}</td>
+                            <td>${IMPORT_STATUS_LABELS[entry.status] || escapeHtml(entry.status)}</td>
+                            <td>${entry.errors.length ? `<ul class="import-errors">${entry.errors.map(error => `<li>${escapeHtml(error)}</li>`).join('')}</ul>` : ''}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
 // Navigation setup
 function setupNavigation() {
     navButtons.forEach(button => {
@@ -530,6 +905,13 @@ function showSection(sectionName) {
         targetSection.classList.add('active');
     }
     
+    // The URL carries the faculty list filters only while the list is shown
+    if (sectionName === 'viewFaculty') {
+        syncFacultyUrl();
+    } else if (location.search) {
+        history.replaceState(null, '', location.pathname);
+    }
+    
     // Load section-specific data
     if (sectionName === 'viewFaculty') {
         displayFacultyList();
@@ -537,6 +919,21 @@ function showSection(sectionName) {
         loadRatificationData();
     } else if (sectionName === 'dashboard') {
         updateDashboard();
+    } else if (sectionName === 'recycleBin') {
+        loadRecycleBin();
+    } else if (sectionName === 'rules') {
+        loadRuleSets();
+        loadEligibilityRuns();
+    } else if (sectionName === 'duplicates') {
+        loadDuplicates();
+    } else if (sectionName === 'leave') {
+        loadLeaveQueue();
+    } else if (sectionName === 'notifications') {
+        loadNotifications();
+    } else if (sectionName === 'colleges') {
+        loadColleges();
+    } else if (sectionName === 'departments') {
+        loadDepartments();
     }
 }
 
@@ -544,8 +941,12 @@ function showSection(sectionName) {
 function displayFacultyList() {
     const container = document.getElementById('facultyList');
     
+    displayFacultyPagination();
+    
     if (!facultyData || facultyData.length === 0) {
-        container.innerHTML = '<div class="no-data">No faculty records found. Add some faculty members to get started.</div>';
+        container.innerHTML = [...currentFacultyFilters().keys()].length > 0
+            ? '<div class="no-data">No faculty members match your search criteria.</div>'
+            : '<div class="no-data">No faculty records found. Add some faculty members to get started.</div>';
         return;
     }
     
@@ -554,70 +955,306 @@ function displayFacultyList() {
             <div class="faculty-header">
                 <h3>${faculty.firstName} ${faculty.lastName}</h3>
                 <div class="faculty-actions">
-                    <button onclick="editFaculty('${faculty._id}')" class="btn-edit">✏️ Edit</button>
-                    <button onclick="deleteFacultyConfirm('${faculty._id}')" class="btn-delete">🗑️ Delete</button>
+                    ${can('faculty:update') ? `<button onclick="editFaculty('${faculty._id}')" class="btn-edit">✏️ Edit</button>` : ''}
+                    <button onclick="showEligibility('${faculty._id}')" class="btn-history">📋 Eligibility</button>
+                    <button onclick="showDocuments('${faculty._id}')" class="btn-history">📎 Documents</button>
+                    <button onclick="showPublications('${faculty._id}')" class="btn-history">📚 Publications</button>
+                    <button onclick="showServiceHistory('${faculty._id}')" class="btn-history">🧭 Service</button>
+                    <button onclick="showLeave('${faculty._id}')" class="btn-history">🌴 Leave</button>
+                    <button onclick="showFacultyHistory('${faculty._id}')" class="btn-history">🕘 History</button>
+                    ${can('faculty:delete') ? `<button onclick="deleteFacultyConfirm('${faculty._id}')" class="btn-delete">🗑️ Delete</button>` : ''}
                 </div>
             </div>
             <div class="faculty-details">
                 <p><strong>Employee ID:</strong> ${faculty.employeeId}</p>
                 <p><strong>Email:</strong> ${faculty.email}</p>
-                <p><strong>Department:</strong> ${faculty.department}</p>
+                <p><strong>College:</strong> ${escapeHtml(faculty.college?.name)}</p>
+                <p><strong>Department:</strong> ${escapeHtml(faculty.department?.name)}</p>
                 <p><strong>Designation:</strong> ${faculty.designation}</p>
                 <p><strong>Phone:</strong> ${faculty.phone}</p>
                 <p><strong>Experience:</strong> ${faculty.experience?.teaching || 0} years teaching</p>
                 <p><strong>Publications:</strong> ${(faculty.publications?.journals || 0) + (faculty.publications?.conferences || 0) + (faculty.publications?.books || 0)} total</p>
-                <p><strong>Status:</strong> <span class="status ${faculty.status?.toLowerCase()}">${faculty.status || 'Active'}</span></p>
-                <p><strong>Ratified:</strong> <span class="ratification ${faculty.ratificationStatus?.isRatified ? 'yes' : 'no'}">${faculty.ratificationStatus?.isRatified ? 'Yes' : 'No'}</span></p>
+                <p><strong>Status:</strong> <span class="status ${faculty.status?.toLowerCase().replace(' ', '-')}">${faculty.status || 'Active'}</span></p>
+                <p><strong>Ratified:</strong> <span class="ratification ${faculty.ratificationStatus?.isRatified ? 'yes' : 'no'}">${faculty.ratificationStatus?.isRatified ? 'Yes' : 'No'}</span>${faculty.ratificationStatus?.needsReRatification ? ' <span class="ratification no">⚠️ Needs re-ratification</span>' : ''}</p>
             </div>
+            ${faculty.searchHighlights?.length ? `
+                <div class="search-highlights">
+                    ${faculty.searchHighlights.map(highlight => `
+                        <p><strong>${escapeHtml(highlight.field)}:</strong> ${highlightText(highlight.text, highlight.matches)}</p>
+                    `).join('')}
+                </div>
+            ` : ''}
         </div>
     `).join('');
     
     container.innerHTML = html;
 }
 
-// Update dashboard statistics
-function updateDashboard() {
-    if (!facultyData) return;
+// Text with the [start, end] ranges found by the search marked
+function highlightText(text, matches) {
+    let html = '';
+    let position = 0;
+    matches.forEach(([start, end]) => {
+        html += escapeHtml(text.slice(position, start)) + `<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+        position = end;
+    });
+    return html + escapeHtml(text.slice(position));
+}
+
+// Previous / next page controls under the faculty list
+function displayFacultyPagination() {
+    const container = document.getElementById('facultyPagination');
     
-    const stats = {
-        total: facultyData.length,
-        professors: facultyData.filter(f => f.designation === 'Professor').length,
-        associate: facultyData.filter(f => f.designation === 'Associate Professor').length,
-        assistant: facultyData.filter(f => f.designation === 'Assistant Professor').length
+    if (!facultyPagination || facultyPagination.pages <= 1) {
+        container.innerHTML = facultyPagination?.total ? `<span>${facultyPagination.total} faculty</span>` : '';
+        return;
+    }
+    
+    const { current, pages, total } = facultyPagination;
+    container.innerHTML = `
+        <button class="btn-secondary" onclick="goToFacultyPage(${current - 1})" ${current <= 1 ? 'disabled' : ''}>« Previous</button>
+        <span>Page ${current} of ${pages} (${total} faculty)</span>
+        <button class="btn-secondary" onclick="goToFacultyPage(${current + 1})" ${current >= pages ? 'disabled' : ''}>Next »</button>
+    `;
+}
+
+function goToFacultyPage(page) {
+    facultyPage = page;
+    syncFacultyUrl();
+    loadFacultyData();
+    document.getElementById('viewFaculty').scrollIntoView({ behavior: 'smooth' });
+}
+
+// Query string of the dashboard filters
+function dashboardQuery() {
+    const params = new URLSearchParams();
+    const filters = {
+        college: document.getElementById('dashboardCollegeFilter').value,
+        department: document.getElementById('dashboardDepartmentFilter').value,
+        from: document.getElementById('dashboardFrom').value,
+        to: document.getElementById('dashboardTo').value
     };
+    Object.entries(filters).forEach(([name, value]) => {
+        if (value) params.set(name, value);
+    });
+    return params;
+}
+
+async function fetchStats(name, params) {
+    const response = await apiFetch(`/api/stats/${name}?${params}`);
+    const result = await response.json();
     
-    document.getElementById('totalFaculty').textContent = stats.total;
-    document.getElementById('professors').textContent = stats.professors;
-    document.getElementById('associateProfessors').textContent = stats.associate;
-    document.getElementById('assistantProfessors').textContent = stats.assistant;
+    if (!response.ok || !result.success) {
+        throw new Error(result.message || `HTTP error! status: ${response.status}`);
+    }
     
-    // Update department chart
-    updateDepartmentChart();
+    return result.data;
 }
 
-// Update department distribution chart
-function updateDepartmentChart() {
-    const chartContainer = document.getElementById('departmentChart');
+// Update dashboard statistics; every figure is computed by the server for the chosen filters
+async function updateDashboard() {
+    if (!can('stats:read')) return;
     
-    if (!facultyData || facultyData.length === 0) {
-        chartContainer.innerHTML = '<p>No data available</p>';
+    const params = dashboardQuery();
+    
+    try {
+        const [stats, matrix, ratification, qualifications, distributions] = await Promise.all([
+            fetchStats('overview', params),
+            fetchStats('department-designation', params),
+            fetchStats('ratification', params),
+            fetchStats('qualifications', params),
+            fetchStats('histograms', params)
+        ]);
+        
+        document.getElementById('totalFaculty').textContent = stats.totalFaculty;
+        document.getElementById('professors').textContent = stats.professors;
+        document.getElementById('associateProfessors').textContent = stats.associateProfessors;
+        document.getElementById('assistantProfessors').textContent = stats.assistantProfessors;
+        document.getElementById('ratifiedFaculty').textContent = stats.ratifiedFaculty;
+        
+        displayDepartmentDesignationMatrix(matrix);
+        
+        renderBarChart('ratificationChart', ratification.states.map(state => [state, ratification.totals[state]]));
+        renderBarChart('qualificationChart', [
+            ...qualifications.levels.map(({ level, count }) => [level, count]),
+            ['Not recorded', qualifications.notRecorded]
+        ], `${qualifications.withDoctorate} with a doctorate or higher`);
+        renderBarChart('experienceChart', distributions.experience.map(bucket => [bucket.label, bucket.count]));
+        renderBarChart('publicationChart', distributions.publications.map(bucket => [bucket.label, bucket.count]));
+    } catch (error) {
+        console.error('❌ Error loading dashboard statistics:', error);
+        showMessage('Error loading dashboard statistics: ' + error.message, 'error');
+    }
+    
+    await loadTrends();
+}
+
+function setupDashboardFilters() {
+    ['dashboardCollegeFilter', 'dashboardDepartmentFilter', 'dashboardFrom', 'dashboardTo'].forEach(id => {
+        document.getElementById(id).addEventListener('change', updateDashboard);
+    });
+    document.getElementById('trendMonths').addEventListener('change', loadTrends);
+}
+
+// Monthly ratification throughput and backlog for the dashboard's college and department.
+// The joining date range does not apply to the trends.
+async function loadTrends() {
+    if (!can('stats:read')) return;
+    
+    const params = dashboardQuery();
+    params.delete('from');
+    params.delete('to');
+    params.set('months', document.getElementById('trendMonths').value);
+    
+    try {
+        const [throughput, backlog] = await Promise.all([
+            fetchStats('trends/throughput', params),
+            fetchStats('trends/backlog', params)
+        ]);
+        
+        displayThroughputTrend(throughput, backlog);
+        displayBacklogBreakdown('backlogByCollege', backlog, 'college');
+        displayBacklogBreakdown('backlogByDepartment', backlog, 'department');
+    } catch (error) {
+        console.error('❌ Error loading ratification trends:', error);
+        showMessage('Error loading ratification trends: ' + error.message, 'error');
+    }
+}
+
+// 'YYYY-MM' as "Oct 2026"
+function formatMonth(month) {
+    return new Date(`${month}-01T00:00:00`).toLocaleDateString('en-IN', { month: 'short', year: 'numeric' });
+}
+
+// Backlog counts are null for months without an eligibility run
+function formatBacklogCount(count) {
+    return count === null ? '—' : count;
+}
+
+function displayThroughputTrend(throughput, backlog) {
+    const container = document.getElementById('throughputTrend');
+    const { totals } = throughput;
+    
+    container.innerHTML = `
+        <p class="section-note">
+            <strong>${totals.ratifications}</strong> ratifications and <strong>${totals.joinings}</strong> joinings in the period.
+            ${totals.averageDaysToRatification === null
+                ? 'No ratification in the period recorded when the faculty member became eligible.'
+                : `On average <strong>${totals.averageDaysToRatification}</strong> days from eligibility to ratification (${totals.measuredRatifications} of ${totals.ratifications} ratifications measured).`}
+            The backlog is taken from the last eligibility run of each month.
+        </p>
+        <div class="rules-table-wrapper">
+            <table class="rules-table">
+                <thead>
+                    <tr>
+                        <th>Month</th>
+                        <th>Joinings</th>
+                        <th>Ratifications</th>
+                        <th>Avg. Days from Eligibility</th>
+                        <th>Eligible Awaiting Ratification</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${throughput.months.map((row, index) => `
+                        <tr>
+                            <td>${formatMonth(row.month)}</td>
+                            <td>${row.joinings}</td>
+                            <td>${row.ratifications}</td>
+                            <td>${row.averageDaysToRatification === null ? '—' : row.averageDaysToRatification}</td>
+                            <td>${formatBacklogCount(backlog.total[index])}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+// Backlog per college or department (rows) and month (columns)
+function displayBacklogBreakdown(containerId, backlog, key) {
+    const container = document.getElementById(containerId);
+    const rows = key === 'college' ? backlog.byCollege : backlog.byDepartment;
+    
+    if (rows.length === 0) {
+        container.innerHTML = '<p>No data available</p>';
+        return;
+    }
+    
+    container.innerHTML = `
+        <div class="rules-table-wrapper">
+            <table class="rules-table">
+                <thead>
+                    <tr>
+                        <th>${key === 'college' ? 'College' : 'Department'}</th>
+                        ${backlog.months.map(month => `<th>${formatMonth(month)}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.map(row => `
+                        <tr>
+                            <td>${escapeHtml(row[key].name)}</td>
+                            ${row.counts.map(count => `<td>${formatBacklogCount(count)}</td>`).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+// Faculty per department (rows) and designation (columns), with totals
+function displayDepartmentDesignationMatrix(matrix) {
+    const container = document.getElementById('departmentDesignationMatrix');
+    
+    if (matrix.total === 0) {
+        container.innerHTML = '<p>No data available</p>';
         return;
     }
     
-    // Group by department
-    const departmentStats = facultyData.reduce((acc, faculty) => {
-        const dept = faculty.department || 'Unknown';
-        acc[dept] = (acc[dept] || 0) + 1;
-        return acc;
-    }, {});
+    container.innerHTML = `
+        <div class="rules-table-wrapper">
+            <table class="rules-table">
+                <thead>
+                    <tr>
+                        <th>Department</th>
+                        ${matrix.designations.map(designation => `<th>${escapeHtml(designation)}</th>`).join('')}
+                        <th>Total</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${matrix.rows.map(row => `
+                        <tr>
+                            <td>${escapeHtml(row.department.name)}</td>
+                            ${matrix.designations.map(designation => `<td>${row.counts[designation]}</td>`).join('')}
+                            <td><strong>${row.total}</strong></td>
+                        </tr>
+                    `).join('')}
+                    <tr>
+                        <td><strong>Total</strong></td>
+                        ${matrix.designations.map(designation => `<td><strong>${matrix.totals[designation]}</strong></td>`).join('')}
+                        <td><strong>${matrix.total}</strong></td>
+                    </tr>
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+// Simple bar chart of [label, count] entries, scaled to the largest count
+function renderBarChart(containerId, entries, note) {
+    const chartContainer = document.getElementById(containerId);
+    
+    const maxCount = Math.max(0, ...entries.map(([, count]) => count));
+    if (maxCount === 0) {
+        chartContainer.innerHTML = '<p>No data available</p>';
+        return;
+    }
     
-    // Create simple bar chart
-    const maxCount = Math.max(...Object.values(departmentStats));
-    const chartHtml = Object.entries(departmentStats).map(([dept, count]) => {
+    const chartHtml = entries.map(([label, count]) => {
         const percentage = (count / maxCount) * 100;
         return `
             <div class="chart-bar">
-                <div class="bar-label">${dept}</div>
+                <div class="bar-label">${escapeHtml(label)}</div>
                 <div class="bar-container">
                     <div class="bar" style="width: ${percentage}%"></div>
                     <span class="bar-value">${count}</span>
@@ -626,96 +1263,2721 @@ function updateDepartmentChart() {
         `;
     }).join('');
     
-    chartContainer.innerHTML = chartHtml;
-}
-
-// Delete confirmation
-function deleteFacultyConfirm(id) {
-    if (confirm('Are you sure you want to delete this faculty member? This action cannot be undone.')) {
-        deleteFaculty(id);
-    }
+    chartContainer.innerHTML = chartHtml + (note ? `<p class="section-note">${escapeHtml(note)}</p>` : '');
 }
 
-// Setup filters
-function setupFilters() {
-    const searchInput = document.getElementById('searchInput');
-    const departmentFilter = document.getElementById('departmentFilter');
-    const designationFilter = document.getElementById('designationFilter');
+// AICTE compliance report; the intake is "60" for every department or "CSE=120, ECE=60"
+function setupComplianceForm() {
+    const form = document.getElementById('complianceForm');
+    if (!form) return;
     
-    [searchInput, departmentFilter, designationFilter].forEach(element => {
-        if (element) {
-            element.addEventListener('input', filterFaculty);
-        }
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        loadComplianceReport();
     });
 }
 
-// Filter faculty based on search and filters
-function filterFaculty() {
-    const searchTerm = document.getElementById('searchInput')?.value.toLowerCase() || '';
-    const departmentFilter = document.getElementById('departmentFilter')?.value || '';
-    const designationFilter = document.getElementById('designationFilter')?.value || '';
+async function loadComplianceReport() {
+    const intake = document.getElementById('complianceIntake').value.trim();
+    const college = document.getElementById('complianceCollegeFilter').value;
+    const container = document.getElementById('complianceReport');
+    
+    const params = new URLSearchParams();
+    if (intake.includes('=')) {
+        intake.split(',').forEach(entry => {
+            const [code, value] = entry.split('=').map(part => part.trim());
+            if (code) params.set(`intake[${code.toUpperCase()}]`, value);
+        });
+    } else {
+        params.set('intake', intake);
+    }
+    if (college) params.set('college', college);
     
-    const filteredData = facultyData.filter(faculty => {
-        const matchesSearch = searchTerm === '' || 
-            faculty.firstName?.toLowerCase().includes(searchTerm) ||
-            faculty.lastName?.toLowerCase().includes(searchTerm) ||
-            faculty.email?.toLowerCase().includes(searchTerm) ||
-            faculty.employeeId?.toLowerCase().includes(searchTerm);
+    try {
+        showLoading(true);
         
-        const matchesDepartment = departmentFilter === '' || faculty.department === departmentFilter;
-        const matchesDesignation = designationFilter === '' || faculty.designation === designationFilter;
+        const response = await apiFetch(`/api/stats/compliance?${params}`);
+        const result = await response.json();
         
-        return matchesSearch && matchesDepartment && matchesDesignation;
-    });
-
-    // Update display with filtered data
-    const container = document.getElementById('facultyList');
-    if (filteredData.length === 0) {
-        container.innerHTML = '<div class="no-data">No faculty members match your search criteria.</div>';
-    } else {
-        const html = filteredData.map(faculty => `
-            <div class="faculty-card" data-id="${faculty._id}">
-                <div class="faculty-header">
-                    <h3>${faculty.firstName} ${faculty.lastName}</h3>
-                    <div class="faculty-actions">
-                        <button onclick="editFaculty('${faculty._id}')" class="btn-edit">✏️ Edit</button>
-                        <button onclick="deleteFacultyConfirm('${faculty._id}')" class="btn-delete">🗑️ Delete</button>
-                    </div>
-                </div>
-                <div class="faculty-details">
-                    <p><strong>Employee ID:</strong> ${faculty.employeeId}</p>
-                    <p><strong>Email:</strong> ${faculty.email}</p>
-                    <p><strong>Department:</strong> ${faculty.department}</p>
-                    <p><strong>Designation:</strong> ${faculty.designation}</p>
-                    <p><strong>Phone:</strong> ${faculty.phone}</p>
-                    <p><strong>Experience:</strong> ${faculty.experience?.teaching || 0} years teaching</p>
-                    <p><strong>Publications:</strong> ${(faculty.publications?.journals || 0) + (faculty.publications?.conferences || 0) + (faculty.publications?.books || 0)} total</p>
-                    <p><strong>Status:</strong> <span class="status ${faculty.status?.toLowerCase()}">${faculty.status || 'Active'}</span></p>
-                </div>
-            </div>
-        `).join('');
-        container.innerHTML = html;
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        displayComplianceReport(result.data);
+    } catch (error) {
+        console.error('❌ Error loading compliance report:', error);
+        container.innerHTML = '';
+        showMessage('Error loading compliance report: ' + error.message, 'error');
+    } finally {
+        showLoading(false);
     }
 }
 
-// Enhanced error handling and user feedback
-function showMessage(message, type = 'info', duration = 5000) {
-    // Remove existing messages
-    const existingMessages = document.querySelectorAll('.message');
-    existingMessages.forEach(msg => msg.remove());
+const COMPLIANCE_LABELS = { green: 'Compliant', amber: 'Cadre shortfall', red: 'Non-compliant' };
+
+function displayComplianceReport(report) {
+    const container = document.getElementById('complianceReport');
+    const { cadreRatio, studentsPerFaculty, programDurationYears } = report.norms;
     
-    // Create new message element
-    const messageDiv = document.createElement('div');
-    messageDiv.className = `message ${type}`;
-    messageDiv.textContent = message;
+    const norms = `
+        <p class="section-note">
+            Norms: cadre ratio ${Object.values(cadreRatio).join(':')} (Professor : Associate : Assistant),
+            1:${studentsPerFaculty} faculty-student ratio, ${programDurationYears} years of students on roll.
+            Green <strong>${report.summary.green}</strong> · Amber <strong>${report.summary.amber}</strong> · Red <strong>${report.summary.red}</strong>.
+            Click a department to see its faculty.
+        </p>
+        ${report.withoutIntake.length > 0 ? `<p class="section-note">No intake given for: ${report.withoutIntake.map(escapeHtml).join(', ')}</p>` : ''}
+    `;
     
-    // Style the message
-    messageDiv.style.cssText = `
-        position: fixed;
-        top: 20px;
-        right: 20px;
-        padding: 1rem 1.5rem;
-        border-radius: 8px;
+    if (report.colleges.length === 0) {
+        container.innerHTML = norms + '<div class="no-data">No departments to report on.</div>';
+        return;
+    }
+    
+    container.innerHTML = norms + report.colleges.map(entry => `
+        <h4 class="compliance-college">
+            <span class="compliance-badge ${entry.status}">${COMPLIANCE_LABELS[entry.status]}</span>
+            ${escapeHtml(entry.college.code)} - ${escapeHtml(entry.college.name)}
+            (${entry.availableTotal} of ${entry.requiredTotal} faculty required)
+        </h4>
+        <div class="rules-table-wrapper">
+            <table class="rules-table">
+                <thead>
+                    <tr>
+                        <th>Department</th><th>Intake</th><th>Students</th>
+                        ${entry.departments[0].cadres.map(cadre => `<th>${escapeHtml(cadre.designation)}<br><small>available / required</small></th>`).join('')}
+                        <th>Cadre Ratio</th><th>Faculty : Students</th><th>Deficiencies</th><th>Status</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${entry.departments.map(unit => `
+                        <tr class="compliance-row" onclick="showComplianceFaculty('${entry.college._id}', '${unit.department._id}')">
+                            <td>${escapeHtml(unit.department.name)}</td>
+                            <td>${unit.intake}</td>
+                            <td>${unit.students}</td>
+                            ${unit.cadres.map(cadre => `<td class="${cadre.deficiency > 0 ? 'criterion-fail' : ''}">${cadre.available} / ${cadre.required}</td>`).join('')}
+                            <td>${escapeHtml(unit.cadreRatio)}</td>
+                            <td>${escapeHtml(unit.facultyStudentRatio || '-')}</td>
+                            <td>${unit.deficiencies.length > 0 ? unit.deficiencies.map(escapeHtml).join('<br>') : '-'}</td>
+                            <td><span class="compliance-badge ${unit.status}">${COMPLIANCE_LABELS[unit.status]}</span></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `).join('');
+}
+
+// Drill down from a report row to the faculty of that college department
+function showComplianceFaculty(collegeId, departmentId) {
+    Object.values(FACULTY_FILTER_INPUTS).forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    document.getElementById('collegeFilter').value = collegeId;
+    document.getElementById('departmentFilter').value = departmentId;
+    
+    applyFacultyFilters();
+    showSection('viewFaculty');
+    document.querySelectorAll('.nav-btn').forEach(btn => btn.classList.remove('active'));
+    document.getElementById('viewFacultyBtn').classList.add('active');
+}
+
+// Delete confirmation - a reason is required
+function deleteFacultyConfirm(id) {
+    const reason = prompt('Reason for deleting this faculty member (required). The record can be restored from the Recycle Bin:');
+    if (reason === null) return;
+    
+    if (!reason.trim()) {
+        showMessage('A reason is required to delete a faculty record', 'error');
+        return;
+    }
+    
+    deleteFaculty(id, reason.trim());
+}
+
+// Load soft-deleted records into the Recycle Bin section
+async function loadRecycleBin() {
+    const container = document.getElementById('recycleBinList');
+    
+    try {
+        const response = await apiFetch('/api/recycle-bin');
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        document.getElementById('recycleBinNote').textContent =
+            `Deleted records can be restored at any time. They can be purged permanently after ${result.retentionDays} days.`;
+        
+        if (result.data.length === 0) {
+            container.innerHTML = '<div class="no-data">The Recycle Bin is empty.</div>';
+            return;
+        }
+        
+        container.innerHTML = result.data.map(faculty => `
+            <div class="faculty-card deleted" data-id="${faculty._id}">
+                <div class="faculty-header">
+                    <h3>${escapeHtml(faculty.firstName)} ${escapeHtml(faculty.lastName)}</h3>
+                    <div class="faculty-actions">
+                        <button onclick="restoreFaculty('${faculty._id}')" class="btn-edit">♻️ Restore</button>
+                        <button onclick="showFacultyHistory('${faculty._id}')" class="btn-history">🕘 History</button>
+                    </div>
+                </div>
+                <div class="faculty-details">
+                    <p><strong>Employee ID:</strong> ${escapeHtml(faculty.employeeId)}</p>
+                    <p><strong>College:</strong> ${escapeHtml(faculty.college?.name)}</p>
+                    <p><strong>Department:</strong> ${escapeHtml(faculty.department?.name)}</p>
+                    <p><strong>Designation:</strong> ${escapeHtml(faculty.designation)}</p>
+                    <p><strong>Deleted:</strong> ${new Date(faculty.deletedAt).toLocaleString()}</p>
+                    <p><strong>Deleted By:</strong> ${escapeHtml(faculty.deletedByName || 'Unknown')}</p>
+                    <p><strong>Reason:</strong> ${escapeHtml(faculty.deletionReason)}</p>
+                    <p><strong>Purgeable From:</strong> ${new Date(faculty.purgeableFrom).toLocaleDateString()}</p>
+                </div>
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('❌ Error loading recycle bin:', error);
+        container.innerHTML = '<div class="no-data">Could not load the Recycle Bin.</div>';
+    }
+}
+
+async function restoreFaculty(id) {
+    try {
+        showLoading(true);
+        
+        const response = await apiFetch(`/api/faculty/${id}/restore`, { method: 'POST' });
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        showMessage('♻️ Faculty restored successfully!', 'success');
+        await loadRecycleBin();
+        await loadFacultyData();
+    } catch (error) {
+        console.error('❌ Error restoring faculty:', error);
+        showMessage('Error restoring faculty: ' + error.message, 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+async function purgeRecycleBin() {
+    if (!confirm('Permanently delete all Recycle Bin records past the retention period? This action cannot be undone.')) {
+        return;
+    }
+    
+    try {
+        showLoading(true);
+        
+        const response = await apiFetch('/api/recycle-bin/purge', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({})
+        });
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        showMessage(result.message, 'success');
+        await loadRecycleBin();
+    } catch (error) {
+        console.error('❌ Error purging recycle bin:', error);
+        showMessage('Error purging Recycle Bin: ' + error.message, 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+// Setup filters
+// View Faculty query parameters and the controls that set them. The list is filtered, sorted
+// and paged by the server, and the URL query keeps the filters so a list can be bookmarked.
+const FACULTY_FILTER_INPUTS = {
+    search: 'searchInput',
+    college: 'collegeFilter',
+    department: 'departmentFilter',
+    designation: 'designationFilter',
+    status: 'statusFilter',
+    ratified: 'ratifiedFilter',
+    sort: 'sortFilter'
+};
+
+const FACULTY_PAGE_SIZE = 10;
+const SEARCH_DEBOUNCE_MS = 300;
+
+function setupFilters() {
+    let searchTimer = null;
+    document.getElementById('searchInput').addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(applyFacultyFilters, SEARCH_DEBOUNCE_MS);
+    });
+    
+    Object.entries(FACULTY_FILTER_INPUTS)
+        .filter(([name]) => name !== 'search')
+        .forEach(([, id]) => document.getElementById(id).addEventListener('change', applyFacultyFilters));
+}
+
+// Reload the list from its first page after a filter changes
+function applyFacultyFilters() {
+    facultyPage = 1;
+    syncFacultyUrl();
+    loadFacultyData();
+}
+
+// The filters currently set in View Faculty, also used by the export
+function currentFacultyFilters() {
+    const params = new URLSearchParams();
+    Object.entries(FACULTY_FILTER_INPUTS)
+        .filter(([name]) => name !== 'sort')
+        .forEach(([name, id]) => {
+            const value = document.getElementById(id).value.trim();
+            if (value) params.set(name, value);
+        });
+    return params;
+}
+
+// Filters, sort order and page of the faculty list
+function facultyListQuery() {
+    const params = currentFacultyFilters();
+    const sort = document.getElementById('sortFilter').value;
+    if (sort) params.set('sort', sort);
+    if (facultyPage > 1) params.set('page', facultyPage);
+    return params;
+}
+
+function syncFacultyUrl() {
+    if (!document.getElementById('viewFaculty').classList.contains('active')) return;
+    
+    const query = facultyListQuery().toString();
+    history.replaceState(null, '', query ? `?${query}` : location.pathname);
+}
+
+// Set the faculty list controls from the URL query. Returns true if it had any.
+function restoreFacultyFilters() {
+    const params = new URLSearchParams(location.search);
+    let restored = false;
+    
+    Object.entries(FACULTY_FILTER_INPUTS).forEach(([name, id]) => {
+        const element = document.getElementById(id);
+        element.value = params.get(name) || '';
+        // A value the control does not offer (such as a college outside the user's scope) is dropped
+        if (params.get(name) && element.value === params.get(name)) restored = true;
+    });
+    facultyPage = Math.max(parseInt(params.get('page')) || 1, 1);
+    
+    return restored || facultyPage > 1;
+}
+
+async function openExportDialog() {
+    try {
+        const response = await apiFetch('/api/faculty/export/columns');
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        const filters = [...currentFacultyFilters().entries()].map(([key, value]) => `${key}: ${value}`);
+        
+        openModal('📤 Export Faculty List', `
+            <p class="section-note">Filters: ${filters.length > 0 ? escapeHtml(filters.join(' | ')) : 'none (all active faculty)'}</p>
+            <div class="form-group">
+                <label for="exportFormat">Format</label>
+                <select id="exportFormat">
+                    <option value="csv">CSV</option>
+                    <option value="xlsx">Excel (XLSX)</option>
+                    <option value="pdf">PDF (printable)</option>
+                </select>
+            </div>
+            <h3 class="subsection-title">Columns</h3>
+            <div class="export-columns">
+                ${result.data.map(column => `
+                    <label>
+                        <input type="checkbox" name="exportColumn" value="${column.key}" ${column.default ? 'checked' : ''}>
+                        ${escapeHtml(column.label)}
+                    </label>
+                `).join('')}
+            </div>
+            <div class="form-buttons">
+                <button onclick="exportFaculty()" class="btn-primary">⬇️ Download</button>
+            </div>
+        `);
+    } catch (error) {
+        console.error('❌ Error loading export columns:', error);
+        showMessage('Error preparing export: ' + error.message, 'error');
+    }
+}
+
+async function exportFaculty() {
+    const columns = [...document.querySelectorAll('input[name="exportColumn"]:checked')].map(input => input.value);
+    if (columns.length === 0) {
+        showMessage('Choose at least one column to export', 'error');
+        return;
+    }
+    
+    const params = currentFacultyFilters();
+    params.set('format', document.getElementById('exportFormat').value);
+    params.set('columns', columns.join(','));
+    
+    try {
+        showLoading(true);
+        
+        const response = await apiFetch(`/api/faculty/export?${params}`);
+        if (!response.ok) {
+            const result = await response.json().catch(() => ({}));
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        const fileName = await saveDownload(response, 'faculty-export');
+        
+        closeModal();
+        showMessage(`📤 Exported ${fileName}`, 'success');
+    } catch (error) {
+        console.error('❌ Error exporting faculty:', error);
+        showMessage('Error exporting faculty: ' + error.message, 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+// Save a file response from apiFetch (downloads need the auth header, so plain links won't do)
+async function saveDownload(response, fallbackName) {
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const encodedName = disposition.match(/filename\*=UTF-8''([^;]+)/)?.[1];
+    const fileName = encodedName ? decodeURIComponent(encodedName) : disposition.match(/filename="(.+?)"/)?.[1] || fallbackName;
+    
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+    return fileName;
+}
+
+// Faculty documents
+const formatFileSize = (bytes) => {
+    if (!bytes) return '-';
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+async function showDocuments(id) {
+    try {
+        showLoading(true);
+        
+        const response = await apiFetch(`/api/faculty/${id}/documents`);
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        const faculty = facultyData.find(f => f._id === id);
+        const title = faculty ? `📎 Documents - ${faculty.firstName} ${faculty.lastName}` : '📎 Documents';
+        
+        openModal(title, `
+            ${result.missingCategories.length > 0 ? `<p class="eligibility-summary ineligible">Required for ratification, not yet uploaded: ${result.missingCategories.map(escapeHtml).join(', ')}</p>` : ''}
+            ${result.data.length === 0 ? '<p class="section-note">No documents have been uploaded.</p>' : `
+                <table class="rules-table">
+                    <thead>
+                        <tr><th>Category</th><th>File</th><th>Size</th><th>Uploaded</th><th>SHA-256</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        ${result.data.map(doc => `
+                            <tr>
+                                <td>${escapeHtml(doc.category || '-')}${doc.description ? `<div class="section-note">${escapeHtml(doc.description)}</div>` : ''}</td>
+                                <td>${escapeHtml(doc.name)}</td>
+                                <td>${formatFileSize(doc.size)}</td>
+                                <td>${new Date(doc.uploadDate).toLocaleDateString()}${doc.uploadedByName ? ` by ${escapeHtml(doc.uploadedByName)}` : ''}</td>
+                                <td><code title="${escapeHtml(doc.checksum)}">${escapeHtml((doc.checksum || '').slice(0, 12))}</code></td>
+                                <td>
+                                    <button onclick="downloadDocument('${id}', '${doc._id}')" class="btn-history">⬇️</button>
+                                    ${can('documents:delete') ? `<button onclick="deleteDocument('${id}', '${doc._id}')" class="btn-delete">🗑️</button>` : ''}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `}
+            ${can('documents:upload') ? `
+                <h3 class="subsection-title">Upload Document</h3>
+                <form id="documentForm" class="faculty-form">
+                    <div class="form-group">
+                        <label for="documentCategory">Category *</label>
+                        <select id="documentCategory" name="category" required>
+                            ${result.categories.map(category => `<option value="${escapeHtml(category)}">${escapeHtml(category)}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="documentDescription">Description</label>
+                        <input type="text" id="documentDescription" name="description" maxlength="200">
+                    </div>
+                    <div class="form-group">
+                        <label for="documentFile">File * (PDF, JPEG or PNG, up to ${result.maxFileMb} MB)</label>
+                        <input type="file" id="documentFile" name="file" accept=".pdf,.jpg,.jpeg,.png" required>
+                    </div>
+                    <div class="form-buttons">
+                        <button type="submit" class="btn-primary">📤 Upload</button>
+                    </div>
+                </form>
+            ` : ''}
+        `);
+        
+        document.getElementById('documentForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            uploadDocument(id, e.target);
+        });
+    } catch (error) {
+        console.error('❌ Error loading documents:', error);
+        showMessage('Error loading documents: ' + error.message, 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+async function uploadDocument(id, form) {
+    try {
+        showLoading(true);
+        
+        const response = await apiFetch(`/api/faculty/${id}/documents`, {
+            method: 'POST',
+            body: new FormData(form)
+        });
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        showMessage(`📎 ${result.message}`, 'success');
+        await showDocuments(id);
+    } catch (error) {
+        console.error('❌ Error uploading document:', error);
+        showMessage('Error uploading document: ' + error.message, 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+async function downloadDocument(id, documentId) {
+    try {
+        showLoading(true);
+        
+        const response = await apiFetch(`/api/faculty/${id}/documents/${documentId}/download`);
+        if (!response.ok) {
+            const result = await response.json().catch(() => ({}));
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        await saveDownload(response, 'document');
+    } catch (error) {
+        console.error('❌ Error downloading document:', error);
+        showMessage('Error downloading document: ' + error.message, 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+async function deleteDocument(id, documentId) {
+    if (!confirm('Delete this document? The stored file will be removed.')) return;
+    
+    try {
+        showLoading(true);
+        
+        const response = await apiFetch(`/api/faculty/${id}/documents/${documentId}`, {
+            method: 'DELETE'
+        });
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        showMessage(result.message, 'success');
+        await showDocuments(id);
+    } catch (error) {
+        console.error('❌ Error deleting document:', error);
+        showMessage('Error deleting document: ' + error.message, 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+// Itemized publications
+async function showPublications(id) {
+    try {
+        showLoading(true);
+        
+        const response = await apiFetch(`/api/faculty/${id}/publications`);
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        const faculty = facultyData.find(f => f._id === id);
+        const title = faculty ? `📚 Publications - ${faculty.firstName} ${faculty.lastName}` : '📚 Publications';
+        const { counts } = result;
+        
+        openModal(title, `
+            <p class="section-note">
+                Journals: ${counts?.journals || 0} · Conferences: ${counts?.conferences || 0} · Books: ${counts?.books || 0}
+                ${result.data.length === 0 && (counts?.journals || counts?.conferences || counts?.books) ? ' (entered counts - add the publications below to itemize them)' : ''}
+            </p>
+            ${result.data.length === 0 ? '<p class="section-note">No publications have been recorded.</p>' : `
+                <table class="rules-table">
+                    <thead>
+                        <tr><th>Year</th><th>Title</th><th>Venue</th><th>Type</th><th>Indexing</th><th>DOI / ISBN</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        ${result.data.map(publication => `
+                            <tr>
+                                <td>${publication.year || '-'}</td>
+                                <td>
+                                    ${escapeHtml(publication.title)}
+                                    <div class="section-note">
+                                        ${escapeHtml((publication.authors || []).join(', '))}
+                                        ${publication.authorPosition ? ` (author ${publication.authorPosition})` : ''}
+                                        ${publication.proofDocument ? ' · 📎 proof attached' : ''}
+                                    </div>
+                                </td>
+                                <td>${escapeHtml(publication.venue || '-')}</td>
+                                <td>${escapeHtml(publication.type)}</td>
+                                <td>${escapeHtml(publication.indexing)}</td>
+                                <td>${escapeHtml(publication.doi || publication.isbn || '-')}</td>
+                                <td>${can('faculty:update') ? `<button onclick="deletePublication('${id}', '${publication._id}')" class="btn-delete">🗑️</button>` : ''}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `}
+            ${can('faculty:update') ? `
+                <h3 class="subsection-title">Add Publication</h3>
+                <form id="publicationForm" class="faculty-form">
+                    <div class="form-group">
+                        <label for="publicationTitle">Title *</label>
+                        <input type="text" id="publicationTitle" name="title" required maxlength="500">
+                    </div>
+                    <div class="form-group">
+                        <label for="publicationAuthors">Authors (in order, separated by ;)</label>
+                        <input type="text" id="publicationAuthors" name="authors">
+                    </div>
+                    <div class="form-group">
+                        <label for="publicationAuthorPosition">Author Position</label>
+                        <input type="number" id="publicationAuthorPosition" name="authorPosition" min="1">
+                    </div>
+                    <div class="form-group">
+                        <label for="publicationVenue">Journal / Conference / Publisher</label>
+                        <input type="text" id="publicationVenue" name="venue">
+                    </div>
+                    <div class="form-group">
+                        <label for="publicationYear">Year</label>
+                        <input type="number" id="publicationYear" name="year" min="1950" max="${new Date().getFullYear() + 1}">
+                    </div>
+                    <div class="form-group">
+                        <label for="publicationType">Type *</label>
+                        <select id="publicationType" name="type" required>
+                            ${result.types.map(type => `<option value="${escapeHtml(type)}">${escapeHtml(type)}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="publicationIndexing">Indexing</label>
+                        <select id="publicationIndexing" name="indexing">
+                            ${result.indexing.map(indexing => `<option value="${escapeHtml(indexing)}" ${indexing === 'None' ? 'selected' : ''}>${escapeHtml(indexing)}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="publicationDoi">DOI</label>
+                        <input type="text" id="publicationDoi" name="doi" placeholder="10.1000/xyz123">
+                    </div>
+                    <div class="form-group">
+                        <label for="publicationIsbn">ISBN</label>
+                        <input type="text" id="publicationIsbn" name="isbn">
+                    </div>
+                    <div class="form-group">
+                        <label for="publicationProof">Proof Document</label>
+                        <select id="publicationProof" name="proofDocument">
+                            <option value="">None</option>
+                            ${result.documents.map(doc => `<option value="${doc._id}">${escapeHtml(doc.category || '')} - ${escapeHtml(doc.name)}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="form-buttons">
+                        <button type="submit" class="btn-primary">➕ Add Publication</button>
+                    </div>
+                </form>
+                <h3 class="subsection-title">Import from BibTeX, RIS or DOIs</h3>
+                <form id="publicationImportForm" class="faculty-form">
+                    <div class="form-group">
+                        <label for="publicationImportFile">Reference File (.bib or .ris)</label>
+                        <input type="file" id="publicationImportFile" name="file" accept=".bib,.ris">
+                    </div>
+                    <div class="form-group">
+                        <label for="publicationImportDois">Or paste DOIs (one per line)</label>
+                        <textarea id="publicationImportDois" name="dois" rows="3" placeholder="10.1109/ACCESS.2021.1234567"></textarea>
+                    </div>
+                    <div class="form-buttons">
+                        <button type="submit" class="btn-secondary">🔍 Preview</button>
+                    </div>
+                </form>
+                <div id="publicationImportPreview"></div>
+            ` : ''}
+        `);
+        
+        document.getElementById('publicationImportForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            previewPublicationImport(id, e.target);
+        });
+        
+        document.getElementById('publicationForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const publication = Object.fromEntries(new FormData(e.target));
+            ['authorPosition', 'year'].forEach(field => {
+                publication[field] = publication[field] ? parseInt(publication[field]) : undefined;
+            });
+            addPublication(id, publication);
+        });
+    } catch (error) {
+        console.error('❌ Error loading publications:', error);
+        showMessage('Error loading publications: ' + error.message, 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+async function addPublication(id, publication) {
+    try {
+        showLoading(true);
+        
+        const response = await apiFetch(`/api/faculty/${id}/publications`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(publication)
+        });
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            const details = Array.isArray(result.error) ? `: ${result.error.join(', ')}` : '';
+            throw new Error((result.message || `HTTP error! status: ${response.status}`) + details);
+        }
+        
+        showMessage('📚 Publication added', 'success');
+        await showPublications(id);
+        await loadFacultyData();
+    } catch (error) {
+        console.error('❌ Error adding publication:', error);
+        showMessage('Error adding publication: ' + error.message, 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+async function deletePublication(id, publicationId) {
+    if (!confirm('Delete this publication?')) return;
+    
+    try {
+        showLoading(true);
+        
+        const response = await apiFetch(`/api/faculty/${id}/publications/${publicationId}`, {
+            method: 'DELETE'
+        });
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        showMessage(result.message, 'success');
+        await showPublications(id);
+        await loadFacultyData();
+    } catch (error) {
+        console.error('❌ Error deleting publication:', error);
+        showMessage('Error deleting publication: ' + error.message, 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+// Publication import (BibTeX / RIS / DOI list) with a preview step
+let publicationImportEntries = [];
+
+async function previewPublicationImport(id, form) {
+    try {
+        showLoading(true);
+        
+        const formData = new FormData(form);
+        if (!formData.get('file')?.name) {
+            formData.delete('file');
+        }
+        
+        const response = await apiFetch(`/api/faculty/${id}/publications/import/preview`, {
+            method: 'POST',
+            body: formData
+        });
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        publicationImportEntries = result.data;
+        displayPublicationImportPreview(id, result);
+    } catch (error) {
+        console.error('❌ Error previewing publications:', error);
+        showMessage('Error reading publications: ' + error.message, 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+function displayPublicationImportPreview(id, result) {
+    const container = document.getElementById('publicationImportPreview');
+    const typeOptions = (selected) => `
+        <option value="" ${selected ? '' : 'selected'}>Choose...</option>
+        ${PUBLICATION_TYPES.map(type => `<option value="${type}" ${type === selected ? 'selected' : ''}>${type}</option>`).join('')}
+    `;
+    
+    container.innerHTML = `
+        <p class="section-note">${escapeHtml(result.message)}${result.truncated ? ' (only the first entries are shown)' : ''}. Untick anything you don't want to import.</p>
+        <div class="rules-table-wrapper">
+            <table class="rules-table import-table">
+                <thead>
+                    <tr><th></th><th>Publication</th><th>Year</th><th>Type</th><th>Indexing</th><th>Notes</th></tr>
+                </thead>
+                <tbody>
+                    ${result.data.map((entry, index) => `
+                        <tr class="${entry.duplicate || entry.warnings.length ? 'import-row-invalid' : ''}" data-index="${index}">
+                            <td><input type="checkbox" name="importPublication" ${entry.selected ? 'checked' : ''}></td>
+                            <td>
+                                ${escapeHtml(entry.title || '(no title)')}
+                                <div class="section-note">
+                                    ${escapeHtml(entry.authors.join(', '))}
+                                    ${entry.venue ? ` · ${escapeHtml(entry.venue)}` : ''}
+                                    ${entry.doi ? ` · ${escapeHtml(entry.doi)}` : ''}
+                                </div>
+                            </td>
+                            <td>${entry.year || '-'}</td>
+                            <td><select name="type">${typeOptions(entry.type)}</select></td>
+                            <td>
+                                <select name="indexing">
+                                    ${PUBLICATION_INDEXING.map(indexing => `<option value="${indexing}" ${indexing === entry.indexing ? 'selected' : ''}>${indexing}</option>`).join('')}
+                                </select>
+                            </td>
+                            <td>
+                                <ul class="import-errors">
+                                    ${entry.duplicate ? `<li>Possible duplicate: ${escapeHtml(entry.duplicate)}</li>` : ''}
+                                    ${entry.warnings.map(warning => `<li>${escapeHtml(warning)}</li>`).join('')}
+                                </ul>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+        <div class="form-buttons">
+            <button onclick="savePublicationImport('${id}')" class="btn-primary">💾 Import Selected</button>
+        </div>
+    `;
+}
+
+async function savePublicationImport(id) {
+    const rows = [...document.querySelectorAll('#publicationImportPreview tbody tr')]
+        .filter(row => row.querySelector('[name="importPublication"]').checked);
+    
+    if (rows.length === 0) {
+        showMessage('Select at least one publication to import', 'error');
+        return;
+    }
+    
+    const entries = rows.map(row => {
+        const { selected, duplicate, warnings, sourceType, ...entry } = publicationImportEntries[row.dataset.index];
+        return {
+            ...entry,
+            type: row.querySelector('[name="type"]').value,
+            indexing: row.querySelector('[name="indexing"]').value
+        };
+    });
+    
+    try {
+        showLoading(true);
+        
+        const response = await apiFetch(`/api/faculty/${id}/publications/import`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ entries })
+        });
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            const details = Array.isArray(result.error)
+                ? ': ' + result.error.map(p => `#${p.index} ${p.errors.join(', ')}`).join('; ')
+                : '';
+            throw new Error((result.message || `HTTP error! status: ${response.status}`) + details);
+        }
+        
+        showMessage(`📚 ${result.message}`, 'success');
+        publicationImportEntries = [];
+        await showPublications(id);
+        await loadFacultyData();
+    } catch (error) {
+        console.error('❌ Error importing publications:', error);
+        showMessage('Error importing publications: ' + error.message, 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+// Detail modal
+function setupModal() {
+    const modal = document.getElementById('modal');
+    document.getElementById('modalClose').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) closeModal();
+    });
+}
+
+function openModal(title, html) {
+    document.getElementById('modalTitle').textContent = title;
+    document.getElementById('modalBody').innerHTML = html;
+    document.getElementById('modal').classList.remove('hidden');
+}
+
+function closeModal() {
+    document.getElementById('modal').classList.add('hidden');
+}
+
+// Escape user-entered values before inserting them as HTML
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function formatAuditValue(value) {
+    if (value === null || value === undefined || value === '') return '<em>empty</em>';
+    if (typeof value === 'object') return escapeHtml(JSON.stringify(value));
+    return escapeHtml(value);
+}
+
+// Service history: appointment, promotions, transfers and changes of employment type
+let serviceHistoryEvents = [];
+let serviceFieldsSetBy = {};
+
+const formatServiceDate = (date) => date ? new Date(date).toLocaleDateString() : '-';
+
+// What a service event changed, e.g. "Associate Professor" for a promotion
+function serviceEventSummary(event) {
+    return [
+        event.designation && escapeHtml(event.designation),
+        event.department && escapeHtml(event.department.name || ''),
+        event.employmentType && escapeHtml(event.employmentType)
+    ].filter(Boolean).join(' · ');
+}
+
+async function showServiceHistory(id) {
+    try {
+        showLoading(true);
+        
+        const response = await apiFetch(`/api/faculty/${id}/service-history`);
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        serviceHistoryEvents = result.data;
+        serviceFieldsSetBy = result.fieldsSetBy;
+        
+        const faculty = facultyData.find(f => f._id === id);
+        const title = faculty ? `🧭 Service History - ${faculty.firstName} ${faculty.lastName}` : '🧭 Service History';
+        const { current } = result;
+        
+        openModal(title, `
+            <p class="section-note">
+                ${escapeHtml(current.designation)} since ${formatServiceDate(current.designationSince)}
+                · ${escapeHtml(current.department?.name || '-')}
+                · ${escapeHtml(current.employmentType || '-')}
+                · Joined ${formatServiceDate(current.dateOfJoining)}
+            </p>
+            ${result.data.length === 0 ? '<p class="section-note">No service history has been recorded.</p>' : `
+                <table class="rules-table">
+                    <thead>
+                        <tr><th>Effective</th><th>Event</th><th>Details</th><th>Order No.</th><th>Remarks</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        ${result.data.map(event => `
+                            <tr>
+                                <td>${formatServiceDate(event.effectiveDate)}</td>
+                                <td>${escapeHtml(event.type)}</td>
+                                <td>${serviceEventSummary(event)}</td>
+                                <td>${escapeHtml(event.orderNumber || 'Not recorded')}</td>
+                                <td>
+                                    ${escapeHtml(event.remarks || '')}
+                                    ${event.recordedByName ? `<div class="section-note">Recorded by ${escapeHtml(event.recordedByName)}</div>` : ''}
+                                </td>
+                                <td>
+                                    ${can('faculty:update') ? `
+                                        <button onclick="editServiceEvent('${event._id}')" class="btn-edit">✏️</button>
+                                        ${event.type === 'Appointment' ? '' : `<button onclick="deleteServiceEvent('${id}', '${event._id}')" class="btn-delete">🗑️</button>`}
+                                    ` : ''}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `}
+            ${can('faculty:update') ? `
+                <h3 class="subsection-title" id="serviceEventFormTitle">Record Service Event</h3>
+                <form id="serviceEventForm" class="faculty-form">
+                    <div class="form-group">
+                        <label for="serviceEventType">Event *</label>
+                        <select id="serviceEventType" name="type" required>
+                            ${result.types.filter(type => type !== 'Appointment').map(type => `<option value="${escapeHtml(type)}">${escapeHtml(type)}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="serviceEventDate">Effective Date *</label>
+                        <input type="date" id="serviceEventDate" name="effectiveDate" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="serviceEventOrder">Order / Reference No. *</label>
+                        <input type="text" id="serviceEventOrder" name="orderNumber" required maxlength="100">
+                    </div>
+                    <div class="form-group" data-service-field="designation">
+                        <label for="serviceEventDesignation">New Designation</label>
+                        <select id="serviceEventDesignation" name="designation">
+                            ${RULE_DESIGNATIONS.map(designation => `<option value="${designation}">${designation}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group" data-service-field="department">
+                        <label for="serviceEventDepartment">New Department</label>
+                        <select id="serviceEventDepartment" name="department">
+                            ${departments.map(department => `
+                                <option value="${department._id}" ${department.active ? '' : 'disabled'}>
+                                    ${escapeHtml(department.name)}${department.active ? '' : ' (inactive)'}
+                                </option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group" data-service-field="employmentType">
+                        <label for="serviceEventEmploymentType">New Employment Type</label>
+                        <select id="serviceEventEmploymentType" name="employmentType">
+                            ${result.employmentTypes.map(type => `<option value="${escapeHtml(type)}">${escapeHtml(type)}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="serviceEventRemarks">Remarks</label>
+                        <input type="text" id="serviceEventRemarks" name="remarks" maxlength="1000">
+                    </div>
+                    <div class="form-buttons">
+                        <button type="submit" class="btn-primary">💾 Save Event</button>
+                    </div>
+                </form>
+            ` : ''}
+        `);
+        
+        const form = document.getElementById('serviceEventForm');
+        if (!form) return;
+        
+        form.elements.type.addEventListener('change', () => showServiceEventFields(form));
+        showServiceEventFields(form);
+        
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const event = Object.fromEntries(new FormData(e.target));
+            saveServiceEvent(id, form.dataset.eventId, event);
+        });
+    } catch (error) {
+        console.error('❌ Error loading service history:', error);
+        showMessage('Error loading service history: ' + error.message, 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+// Only show the fields the chosen event type sets
+function showServiceEventFields(form) {
+    const fields = serviceFieldsSetBy[form.elements.type.value] || [];
+    form.querySelectorAll('[data-service-field]').forEach(group => {
+        const shown = fields.includes(group.dataset.serviceField);
+        group.hidden = !shown;
+        group.querySelector('select').disabled = !shown;
+    });
+}
+
+// Fill the form with an event to correct it
+function editServiceEvent(eventId) {
+    const event = serviceHistoryEvents.find(e => e._id === eventId);
+    const form = document.getElementById('serviceEventForm');
+    if (!event || !form) return;
+    
+    form.dataset.eventId = eventId;
+    document.getElementById('serviceEventFormTitle').textContent = `Correct ${event.type}`;
+    
+    // The appointment stays an appointment; other events cannot become one
+    const typeSelect = form.elements.type;
+    if (event.type === 'Appointment') {
+        typeSelect.innerHTML = '<option value="Appointment">Appointment</option>';
+    }
+    typeSelect.value = event.type;
+    typeSelect.disabled = event.type === 'Appointment';
+    showServiceEventFields(form);
+    
+    form.elements.effectiveDate.value = event.effectiveDate.slice(0, 10);
+    form.elements.orderNumber.value = event.orderNumber || '';
+    form.elements.designation.value = event.designation || form.elements.designation.value;
+    form.elements.department.value = event.department?._id || form.elements.department.value;
+    form.elements.employmentType.value = event.employmentType || form.elements.employmentType.value;
+    form.elements.remarks.value = event.remarks || '';
+    form.scrollIntoView({ behavior: 'smooth' });
+}
+
+async function saveServiceEvent(id, eventId, event) {
+    try {
+        showLoading(true);
+        
+        const response = await apiFetch(`/api/faculty/${id}/service-history${eventId ? `/${eventId}` : ''}`, {
+            method: eventId ? 'PUT' : 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(event)
+        });
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            const details = Array.isArray(result.error) ? `: ${result.error.join(', ')}` : '';
+            throw new Error((result.message || `HTTP error! status: ${response.status}`) + details);
+        }
+        
+        showMessage(`🧭 ${result.message}`, 'success');
+        await showServiceHistory(id);
+        await loadFacultyData();
+    } catch (error) {
+        console.error('❌ Error saving service event:', error);
+        showMessage('Error saving service event: ' + error.message, 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+async function deleteServiceEvent(id, eventId) {
+    if (!confirm('Delete this service event? The current designation and department are worked out again from the remaining events.')) return;
+    
+    try {
+        showLoading(true);
+        
+        const response = await apiFetch(`/api/faculty/${id}/service-history/${eventId}`, {
+            method: 'DELETE'
+        });
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            const details = Array.isArray(result.error) ? `: ${result.error.join(', ')}` : '';
+            throw new Error((result.message || `HTTP error! status: ${response.status}`) + details);
+        }
+        
+        showMessage(result.message, 'success');
+        await showServiceHistory(id);
+        await loadFacultyData();
+    } catch (error) {
+        console.error('❌ Error deleting service event:', error);
+        showMessage('Error deleting service event: ' + error.message, 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+// Leave: per-faculty leave records and the approval queue
+const formatLeavePeriod = (leave) => `${new Date(leave.startDate).toLocaleDateString()} - ${new Date(leave.endDate).toLocaleDateString()}`;
+
+// Days of leave, counting both the first and the last day
+const leaveDays = (leave) => Math.round((new Date(leave.endDate) - new Date(leave.startDate)) / (24 * 60 * 60 * 1000)) + 1;
+
+function leaveApprovalText(leave) {
+    const approval = leave.approval || {};
+    return `
+        <span class="leave-status ${(approval.status || 'Pending').toLowerCase()}">${escapeHtml(approval.status || 'Pending')}</span>
+        ${approval.byName ? `<div class="section-note">by ${escapeHtml(approval.byName)}${approval.orderNumber ? `, order ${escapeHtml(approval.orderNumber)}` : ''}</div>` : ''}
+        ${approval.remarks ? `<div class="section-note">${escapeHtml(approval.remarks)}</div>` : ''}
+    `;
+}
+
+// Approve / reject / delete buttons for one leave record; onDone reloads whatever is showing it
+function leaveActionButtons(id, leave, onDone) {
+    const pending = leave.approval?.status === 'Pending';
+    return `
+        ${pending && can('leave:approve') ? `
+            <button onclick="decideLeave('${id}', '${leave._id}', 'approve', ${onDone})" class="btn-edit">✅</button>
+            <button onclick="decideLeave('${id}', '${leave._id}', 'reject', ${onDone})" class="btn-delete">✖</button>
+        ` : ''}
+        ${can('faculty:update') && (pending || can('leave:approve')) ? `<button onclick="deleteLeave('${id}', '${leave._id}', ${onDone})" class="btn-delete">🗑️</button>` : ''}
+    `;
+}
+
+async function showLeave(id) {
+    try {
+        showLoading(true);
+        
+        const response = await apiFetch(`/api/faculty/${id}/leave`);
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        const faculty = facultyData.find(f => f._id === id);
+        const title = faculty ? `🌴 Leave - ${faculty.firstName} ${faculty.lastName}` : '🌴 Leave';
+        const documentName = (documentId) => {
+            const doc = result.documents.find(d => d._id === documentId);
+            return doc ? escapeHtml(doc.name) : '-';
+        };
+        
+        openModal(title, `
+            <p class="section-note">
+                Status: ${escapeHtml(result.status)}
+                ${result.nonQualifyingDays > 0 ? ` · ${result.nonQualifyingDays} days of ${escapeHtml(result.nonQualifyingTypes.join(', '))} left out of qualifying service` : ''}
+            </p>
+            ${result.data.length === 0 ? '<p class="section-note">No leave has been recorded.</p>' : `
+                <table class="rules-table">
+                    <thead>
+                        <tr><th>Period</th><th>Days</th><th>Type</th><th>Reason</th><th>Document</th><th>Approval</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        ${result.data.map(leave => `
+                            <tr>
+                                <td>${formatLeavePeriod(leave)}</td>
+                                <td>${leaveDays(leave)}</td>
+                                <td>${escapeHtml(leave.type)}</td>
+                                <td>${escapeHtml(leave.reason || '-')}</td>
+                                <td>${leave.supportingDocument ? documentName(leave.supportingDocument) : '-'}</td>
+                                <td>${leaveApprovalText(leave)}</td>
+                                <td>${leaveActionButtons(id, leave, `() => showLeave('${id}')`)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `}
+            ${can('faculty:update') ? `
+                <h3 class="subsection-title">Record Leave</h3>
+                <form id="leaveForm" class="faculty-form">
+                    <div class="form-group">
+                        <label for="leaveType">Type *</label>
+                        <select id="leaveType" name="type" required>
+                            ${result.types.map(type => `<option value="${escapeHtml(type)}">${escapeHtml(type)}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="leaveStart">From *</label>
+                        <input type="date" id="leaveStart" name="startDate" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="leaveEnd">To (last day) *</label>
+                        <input type="date" id="leaveEnd" name="endDate" required>
+                    </div>
+                    <div class="form-group">
+                        <label for="leaveReason">Reason</label>
+                        <input type="text" id="leaveReason" name="reason" maxlength="1000">
+                    </div>
+                    <div class="form-group">
+                        <label for="leaveDocument">Supporting Document</label>
+                        <select id="leaveDocument" name="supportingDocument">
+                            <option value="">None</option>
+                            ${result.documents.map(doc => `<option value="${doc._id}">${escapeHtml(doc.category || '')} - ${escapeHtml(doc.name)}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="form-buttons">
+                        <button type="submit" class="btn-primary">➕ Record Leave</button>
+                    </div>
+                </form>
+            ` : ''}
+        `);
+        
+        document.getElementById('leaveForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            addLeave(id, Object.fromEntries(new FormData(e.target)));
+        });
+    } catch (error) {
+        console.error('❌ Error loading leave:', error);
+        showMessage('Error loading leave: ' + error.message, 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+async function addLeave(id, leave) {
+    try {
+        showLoading(true);
+        
+        const response = await apiFetch(`/api/faculty/${id}/leave`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(leave)
+        });
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            const details = Array.isArray(result.error) ? `: ${result.error.join(', ')}` : '';
+            throw new Error((result.message || `HTTP error! status: ${response.status}`) + details);
+        }
+        
+        showMessage(`🌴 ${result.message}`, 'success');
+        await showLeave(id);
+    } catch (error) {
+        console.error('❌ Error recording leave:', error);
+        showMessage('Error recording leave: ' + error.message, 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+async function decideLeave(id, leaveId, action, onDone) {
+    const orderNumber = action === 'approve' ? prompt('Leave order number (optional):') : '';
+    if (orderNumber === null) return;
+    const remarks = prompt(action === 'approve' ? 'Remarks (optional):' : 'Reason for rejecting this leave:');
+    if (remarks === null) return;
+    
+    try {
+        showLoading(true);
+        
+        const response = await apiFetch(`/api/faculty/${id}/leave/${leaveId}/${action}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ orderNumber, remarks })
+        });
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        showMessage(result.message, 'success');
+        await onDone();
+        await loadFacultyData();
+    } catch (error) {
+        console.error('❌ Error deciding leave:', error);
+        showMessage('Error deciding leave: ' + error.message, 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+async function deleteLeave(id, leaveId, onDone) {
+    if (!confirm('Delete this leave record?')) return;
+    
+    try {
+        showLoading(true);
+        
+        const response = await apiFetch(`/api/faculty/${id}/leave/${leaveId}`, {
+            method: 'DELETE'
+        });
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        showMessage(result.message, 'success');
+        await onDone();
+        await loadFacultyData();
+    } catch (error) {
+        console.error('❌ Error deleting leave:', error);
+        showMessage('Error deleting leave: ' + error.message, 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+let currentLeaveStatus = 'Pending';
+let leavePage = 1;
+
+async function loadLeaveQueue() {
+    try {
+        const response = await apiFetch(`/api/leave?status=${encodeURIComponent(currentLeaveStatus)}&page=${leavePage}`);
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        document.getElementById('leaveTabs').innerHTML = result.statuses.map(status => `
+            <button class="queue-tab ${status.name === currentLeaveStatus ? 'active' : ''}"
+                    onclick="switchLeaveStatus('${status.name}')">${escapeHtml(status.name)} (${status.count})</button>
+        `).join('');
+        
+        // An action can empty the last page; show the new last page instead
+        const { current, pages, total } = result.pagination;
+        if (result.data.length === 0 && current > 1 && pages > 0) {
+            leavePage = pages;
+            return loadLeaveQueue();
+        }
+        
+        document.getElementById('leavePagination').innerHTML = pages > 1 ? `
+            <button class="btn-secondary" onclick="goToLeavePage(${current - 1})" ${current <= 1 ? 'disabled' : ''}>« Previous</button>
+            <span>Page ${current} of ${pages} (${total} leave records)</span>
+            <button class="btn-secondary" onclick="goToLeavePage(${current + 1})" ${current >= pages ? 'disabled' : ''}>Next »</button>
+        ` : '';
+        
+        const container = document.getElementById('leaveList');
+        if (result.data.length === 0) {
+            container.innerHTML = `<div class="no-data">No ${currentLeaveStatus.toLowerCase()} leave.</div>`;
+            return;
+        }
+        
+        container.innerHTML = `
+            <div class="rules-table-wrapper">
+                <table class="rules-table">
+                    <thead>
+                        <tr><th>Faculty</th><th>Type</th><th>Period</th><th>Days</th><th>Reason</th><th>Approval</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        ${result.data.map(leave => `
+                            <tr>
+                                <td>
+                                    ${escapeHtml(leave.faculty.firstName)} ${escapeHtml(leave.faculty.lastName)}
+                                    <div class="section-note">${escapeHtml(leave.faculty.employeeId)} · ${escapeHtml(leave.faculty.designation)}</div>
+                                </td>
+                                <td>${escapeHtml(leave.type)}</td>
+                                <td>${formatLeavePeriod(leave)}</td>
+                                <td>${leaveDays(leave)}</td>
+                                <td>${escapeHtml(leave.reason || '-')}</td>
+                                <td>${leaveApprovalText(leave)}</td>
+                                <td>${leaveActionButtons(leave.faculty._id, leave, 'loadLeaveQueue')}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    } catch (error) {
+        console.error('❌ Error loading leave queue:', error);
+        showMessage('Error loading leave: ' + error.message, 'error');
+    }
+}
+
+function switchLeaveStatus(status) {
+    currentLeaveStatus = status;
+    leavePage = 1;
+    loadLeaveQueue();
+}
+
+function goToLeavePage(page) {
+    leavePage = page;
+    loadLeaveQueue();
+}
+
+// Show the audit trail of a faculty record
+async function showFacultyHistory(id) {
+    try {
+        showLoading(true);
+        
+        const response = await apiFetch(`/api/faculty/${id}/history`);
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        const faculty = facultyData.find(f => f._id === id);
+        const title = `🕘 History${faculty ? ` - ${faculty.firstName} ${faculty.lastName}` : ''}`;
+        
+        if (result.data.length === 0) {
+            openModal(title, '<div class="no-data">No changes have been recorded for this faculty member.</div>');
+            return;
+        }
+        
+        const html = result.data.map(entry => `
+            <div class="history-entry">
+                <div class="history-meta">
+                    <span class="history-action ${entry.action}">${entry.action}</span>
+                    <span>${new Date(entry.timestamp).toLocaleString()}</span>
+                    <span>by <strong>${escapeHtml(entry.actor?.name || 'Unknown')}</strong> (${escapeHtml(entry.actor?.role || '-')})</span>
+                </div>
+                ${entry.changes.length === 0 ? '<p><em>No field changes</em></p>' : `
+                <table class="history-changes">
+                    <thead><tr><th>Field</th><th>Before</th><th>After</th></tr></thead>
+                    <tbody>
+                        ${entry.changes.map(change => `
+                            <tr>
+                                <td>${escapeHtml(change.field)}</td>
+                                <td>${formatAuditValue(change.before)}</td>
+                                <td>${formatAuditValue(change.after)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>`}
+            </div>
+        `).join('');
+        
+        openModal(title, html);
+    } catch (error) {
+        console.error('❌ Error loading faculty history:', error);
+        showMessage('Error loading history: ' + error.message, 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+// Duplicate review queue
+let currentDuplicateStatus = 'Open';
+
+// Fields compared side by side, as [label, value]
+const DUPLICATE_COMPARE_ROWS = [
+    ['Name', f => `${f.firstName} ${f.lastName}`],
+    ['Employee ID', f => f.employeeId],
+    ['AICTE ID', f => f.aicteId],
+    ['PAN', f => f.pan],
+    ['Date of Birth', f => f.dateOfBirth ? new Date(f.dateOfBirth).toLocaleDateString() : ''],
+    ['Email', f => f.email],
+    ['Phone', f => f.phone],
+    ['College', f => f.college?.name],
+    ['Department', f => f.department?.name],
+    ['Designation', f => f.designation],
+    ['Date of Joining', f => f.dateOfJoining ? new Date(f.dateOfJoining).toLocaleDateString() : ''],
+    ['Qualifications', f => (f.qualifications || []).map(q => q.degree).join(', ')],
+    ['Status', f => f.isDeleted ? `In Recycle Bin (${f.deletionReason || ''})` : f.status],
+    ['Ratified', f => f.ratificationStatus?.isRatified ? 'Yes' : 'No']
+];
+
+let duplicateConflicts = [];
+
+async function loadDuplicates() {
+    try {
+        const response = await apiFetch(`/api/duplicates?status=${encodeURIComponent(currentDuplicateStatus)}`);
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        duplicateConflicts = result.data;
+        
+        document.getElementById('duplicateTabs').innerHTML = result.statuses.map(status => `
+            <button class="queue-tab ${status.name === currentDuplicateStatus ? 'active' : ''}"
+                    onclick="switchDuplicateStatus('${status.name}')">${escapeHtml(status.name)} (${status.count})</button>
+        `).join('');
+        
+        displayDuplicateList();
+    } catch (error) {
+        console.error('❌ Error loading duplicate conflicts:', error);
+        showMessage('Error loading duplicate conflicts: ' + error.message, 'error');
+    }
+}
+
+function switchDuplicateStatus(status) {
+    currentDuplicateStatus = status;
+    loadDuplicates();
+}
+
+const duplicateName = (faculty) => faculty
+    ? `${escapeHtml(faculty.firstName)} ${escapeHtml(faculty.lastName)} (${escapeHtml(faculty.employeeId)}, ${escapeHtml(faculty.college?.code || '-')})`
+    : 'Deleted record';
+
+function displayDuplicateList() {
+    const container = document.getElementById('duplicateList');
+    
+    if (duplicateConflicts.length === 0) {
+        container.innerHTML = `<div class="no-data">No ${currentDuplicateStatus.toLowerCase()} duplicate conflicts.</div>`;
+        return;
+    }
+    
+    container.innerHTML = duplicateConflicts.map(conflict => `
+        <div class="ratification-card ${conflict.strength === 'Strong' ? 'not-eligible' : ''}">
+            <h3>${duplicateName(conflict.faculty[0])} ↔ ${duplicateName(conflict.faculty[1])}</h3>
+            <p><strong>Match:</strong> ${escapeHtml(conflict.strength)} - ${conflict.reasons.map(reason => escapeHtml(reason.detail)).join('; ')}</p>
+            <p><strong>Found:</strong> ${new Date(conflict.createdAt).toLocaleString()} (${escapeHtml(conflict.source || '-')})</p>
+            ${conflict.resolution?.at ? `
+                <p><strong>${escapeHtml(conflict.status)}:</strong> ${new Date(conflict.resolution.at).toLocaleString()} by ${escapeHtml(conflict.resolution.byName || 'System')}</p>
+                ${conflict.resolution.remarks ? `<p class="case-remarks">${escapeHtml(conflict.resolution.remarks)}</p>` : ''}
+            ` : ''}
+            <button onclick="compareDuplicates('${conflict._id}')" class="btn-history">⚖️ Compare</button>
+        </div>
+    `).join('');
+}
+
+// Side-by-side comparison, with merge and dismiss for an open conflict
+function compareDuplicates(id) {
+    const conflict = duplicateConflicts.find(c => c._id === id);
+    if (!conflict) return;
+    
+    const [a, b] = conflict.faculty;
+    const canResolve = conflict.status === 'Open' && can('duplicates:resolve') && a && b;
+    
+    openModal('⚖️ Compare Faculty Records', `
+        <div class="rules-table-wrapper">
+            <table class="rules-table">
+                <thead>
+                    <tr><th></th><th>Record A</th><th>Record B</th></tr>
+                </thead>
+                <tbody>
+                    ${DUPLICATE_COMPARE_ROWS.map(([label, value]) => {
+                        const valueA = a ? value(a) || '' : '';
+                        const valueB = b ? value(b) || '' : '';
+                        return `
+                            <tr class="${valueA === valueB ? '' : 'compare-differs'}">
+                                <th>${label}</th>
+                                <td>${escapeHtml(valueA)}</td>
+                                <td>${escapeHtml(valueB)}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        </div>
+        <p><strong>Match:</strong> ${conflict.reasons.map(reason => escapeHtml(reason.detail)).join('; ')}</p>
+        ${canResolve ? `
+            <div class="form-group">
+                <label for="duplicateRemarks">Remarks</label>
+                <textarea id="duplicateRemarks" rows="2" placeholder="Required to dismiss"></textarea>
+            </div>
+            <div class="form-buttons">
+                <button onclick="mergeDuplicates('${conflict._id}', '${a._id}')" class="btn-primary">Keep A, merge B into it</button>
+                <button onclick="mergeDuplicates('${conflict._id}', '${b._id}')" class="btn-primary">Keep B, merge A into it</button>
+                <button onclick="dismissDuplicates('${conflict._id}')" class="btn-secondary">Not the same person - dismiss</button>
+            </div>
+        ` : ''}
+    `);
+}
+
+// POST a merge or dismiss decision and refresh the queue
+async function resolveDuplicates(id, action, body) {
+    try {
+        showLoading(true);
+        
+        const response = await apiFetch(`/api/duplicates/${id}/${action}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        showMessage(result.message, 'success');
+        closeModal();
+        await loadDuplicates();
+        await loadFacultyData();
+    } catch (error) {
+        console.error(`❌ Error resolving duplicate conflict (${action}):`, error);
+        showMessage('Error resolving duplicate conflict: ' + error.message, 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+function mergeDuplicates(id, keep) {
+    if (!confirm('The other record will be moved to the Recycle Bin. Continue?')) return;
+    resolveDuplicates(id, 'merge', { keep, remarks: document.getElementById('duplicateRemarks').value.trim() });
+}
+
+function dismissDuplicates(id) {
+    const remarks = document.getElementById('duplicateRemarks').value.trim();
+    if (!remarks) {
+        showMessage('Remarks are required to dismiss a conflict', 'error');
+        return;
+    }
+    resolveDuplicates(id, 'dismiss', { remarks });
+}
+
+async function scanDuplicates() {
+    try {
+        showLoading(true);
+        
+        const response = await apiFetch('/api/duplicates/scan', { method: 'POST' });
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        showMessage(result.message, 'success');
+        await loadDuplicates();
+    } catch (error) {
+        console.error('❌ Error scanning for duplicates:', error);
+        showMessage('Error scanning for duplicates: ' + error.message, 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+// Colleges (dropdowns are filled from the API, see loadColleges)
+let colleges = [];
+
+async function loadColleges() {
+    try {
+        const response = await apiFetch('/api/colleges');
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        colleges = result.data;
+        populateCollegeSelects();
+        displayCollegeList();
+    } catch (error) {
+        console.error('❌ Error loading colleges:', error);
+        showMessage('Error loading colleges: ' + error.message, 'error');
+    }
+}
+
+// Fill the faculty form and filter dropdowns, keeping their current selection.
+// College-scoped users have the pickers hidden and their own college preselected in the form.
+function populateCollegeSelects() {
+    const formSelect = document.getElementById('college');
+    const ownCollege = currentUser.collegeScoped ? currentUser.college : null;
+    
+    const formValue = formSelect.value || ownCollege || '';
+    formSelect.innerHTML = '<option value="">Select College</option>' + colleges.map(college => `
+        <option value="${college._id}" ${college._id === ownCollege ? 'selected' : ''}>
+            ${escapeHtml(college.code)} - ${escapeHtml(college.name)}
+        </option>
+    `).join('');
+    formSelect.value = formValue;
+    
+    ['collegeFilter', 'ratificationCollegeFilter', 'complianceCollegeFilter', 'dashboardCollegeFilter'].forEach(id => {
+        const filterSelect = document.getElementById(id);
+        const filterValue = filterSelect.value;
+        filterSelect.innerHTML = '<option value="">All Colleges</option>' + colleges.map(college => `
+            <option value="${college._id}">${escapeHtml(college.code)} - ${escapeHtml(college.name)}</option>
+        `).join('');
+        filterSelect.value = filterValue;
+    });
+}
+
+function displayCollegeList() {
+    const container = document.getElementById('collegeList');
+    
+    if (colleges.length === 0) {
+        container.innerHTML = '<div class="no-data">No colleges have been created yet.</div>';
+        return;
+    }
+    
+    container.innerHTML = `
+        <div class="rules-table-wrapper">
+            <table class="rules-table">
+                <thead>
+                    <tr><th>Code</th><th>Name</th><th>District</th><th>Autonomous</th><th>Principal</th><th>Faculty</th>${can('colleges:manage') ? '<th></th>' : ''}</tr>
+                </thead>
+                <tbody>
+                    ${colleges.map(college => `
+                        <tr>
+                            <td>${escapeHtml(college.code)}</td>
+                            <td>${escapeHtml(college.name)}</td>
+                            <td>${escapeHtml(college.district)}</td>
+                            <td>${college.autonomous ? 'Yes' : 'No'}</td>
+                            <td>
+                                ${escapeHtml(college.principal || '-')}
+                                ${college.principalEmail ? `<div class="section-note">${escapeHtml(college.principalEmail)}</div>` : ''}
+                            </td>
+                            <td>${college.facultyCount}</td>
+                            ${can('colleges:manage') ? `
+                                <td>
+                                    <button onclick="editCollege('${college._id}')" class="btn-edit">✏️ Edit</button>
+                                    ${college.facultyCount === 0 ? `<button onclick="deleteCollege('${college._id}')" class="btn-delete">🗑️ Delete</button>` : ''}
+                                </td>
+                            ` : ''}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+// Field values of the new and edit college forms
+function readCollegeForm(form) {
+    return {
+        code: form.elements.code.value.trim(),
+        name: form.elements.name.value.trim(),
+        district: form.elements.district.value.trim(),
+        principal: form.elements.principal.value.trim(),
+        principalEmail: form.elements.principalEmail.value.trim(),
+        autonomous: form.elements.autonomous.checked
+    };
+}
+
+function setupCollegeForm() {
+    const form = document.getElementById('collegeForm');
+    if (!form) return;
+    
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        
+        const saved = await saveCollege(null, readCollegeForm(form));
+        if (saved) form.reset();
+    });
+}
+
+// Create (id null) or update a college; returns whether it was saved
+async function saveCollege(id, college) {
+    try {
+        showLoading(true);
+        
+        const response = await apiFetch(id ? `/api/colleges/${id}` : '/api/colleges', {
+            method: id ? 'PUT' : 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(college)
+        });
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            const details = Array.isArray(result.error) ? `: ${result.error.join(', ')}` : '';
+            throw new Error((result.message || `HTTP error! status: ${response.status}`) + details);
+        }
+        
+        showMessage(result.message, 'success');
+        await loadColleges();
+        return true;
+    } catch (error) {
+        console.error('❌ Error saving college:', error);
+        showMessage('Error saving college: ' + error.message, 'error');
+        return false;
+    } finally {
+        showLoading(false);
+    }
+}
+
+function editCollege(id) {
+    const college = colleges.find(c => c._id === id);
+    if (!college) return;
+    
+    openModal(`🏫 ${college.name}`, `
+        <form id="editCollegeForm" class="faculty-form">
+            <div class="form-group">
+                <label for="editCollegeCode">College Code *</label>
+                <input type="text" id="editCollegeCode" name="code" required maxlength="20" value="${escapeHtml(college.code)}" style="text-transform: uppercase;">
+            </div>
+            <div class="form-group">
+                <label for="editCollegeName">Name *</label>
+                <input type="text" id="editCollegeName" name="name" required maxlength="200" value="${escapeHtml(college.name)}">
+            </div>
+            <div class="form-group">
+                <label for="editCollegeDistrict">District *</label>
+                <input type="text" id="editCollegeDistrict" name="district" required value="${escapeHtml(college.district)}">
+            </div>
+            <div class="form-group">
+                <label for="editCollegePrincipal">Principal</label>
+                <input type="text" id="editCollegePrincipal" name="principal" value="${escapeHtml(college.principal || '')}">
+            </div>
+            <div class="form-group">
+                <label for="editCollegePrincipalEmail">Principal's Email</label>
+                <input type="email" id="editCollegePrincipalEmail" name="principalEmail" value="${escapeHtml(college.principalEmail || '')}">
+            </div>
+            <div class="form-group">
+                <label><input type="checkbox" name="autonomous" ${college.autonomous ? 'checked' : ''}> Autonomous</label>
+            </div>
+            <div class="form-buttons">
+                <button type="submit" class="btn-primary">💾 Save</button>
+            </div>
+        </form>
+    `);
+    
+    document.getElementById('editCollegeForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const saved = await saveCollege(id, readCollegeForm(e.target));
+        if (saved) closeModal();
+    });
+}
+
+async function deleteCollege(id) {
+    const college = colleges.find(c => c._id === id);
+    if (!college || !confirm(`Delete college ${college.name}?`)) return;
+    
+    try {
+        const response = await apiFetch(`/api/colleges/${id}`, { method: 'DELETE' });
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        showMessage(result.message, 'success');
+        await loadColleges();
+    } catch (error) {
+        console.error('❌ Error deleting college:', error);
+        showMessage('Error deleting college: ' + error.message, 'error');
+    }
+}
+
+// Departments (dropdowns are filled from the API, see loadDepartments)
+let departments = [];
+
+async function loadDepartments() {
+    try {
+        const response = await apiFetch('/api/departments');
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        departments = result.data;
+        populateDepartmentSelects();
+        displayDepartmentList();
+    } catch (error) {
+        console.error('❌ Error loading departments:', error);
+        showMessage('Error loading departments: ' + error.message, 'error');
+    }
+}
+
+// Fill the faculty form and filter dropdowns, keeping their current selection.
+// Inactive departments stay listed in the form so existing records can be edited, but cannot be chosen.
+function populateDepartmentSelects() {
+    const formSelect = document.getElementById('department');
+    
+    const formValue = formSelect.value;
+    formSelect.innerHTML = '<option value="">Select Department</option>' + departments.map(department => `
+        <option value="${department._id}" ${department.active ? '' : 'disabled'}>
+            ${escapeHtml(department.name)}${department.active ? '' : ' (inactive)'}
+        </option>
+    `).join('');
+    formSelect.value = formValue;
+    
+    ['departmentFilter', 'dashboardDepartmentFilter'].forEach(id => {
+        const filterSelect = document.getElementById(id);
+        const filterValue = filterSelect.value;
+        filterSelect.innerHTML = '<option value="">All Departments</option>' + departments.map(department => `
+            <option value="${department._id}">${escapeHtml(department.name)}</option>
+        `).join('');
+        filterSelect.value = filterValue;
+    });
+}
+
+function displayDepartmentList() {
+    const container = document.getElementById('departmentList');
+    
+    if (departments.length === 0) {
+        container.innerHTML = '<div class="no-data">No departments have been created yet.</div>';
+        return;
+    }
+    
+    container.innerHTML = `
+        <div class="rules-table-wrapper">
+            <table class="rules-table">
+                <thead>
+                    <tr><th>Code</th><th>Name</th><th>HOD</th><th>Faculty</th><th>Status</th>${can('departments:manage') ? '<th></th>' : ''}</tr>
+                </thead>
+                <tbody>
+                    ${departments.map(department => `
+                        <tr>
+                            <td>${escapeHtml(department.code)}</td>
+                            <td>${escapeHtml(department.name)}</td>
+                            <td>${department.hod ? `${escapeHtml(department.hod.firstName)} ${escapeHtml(department.hod.lastName)} (${escapeHtml(department.hod.employeeId)})` : '-'}</td>
+                            <td>${department.facultyCount}</td>
+                            <td>${department.active ? 'Active' : 'Inactive'}</td>
+                            ${can('departments:manage') ? `
+                                <td>
+                                    <button onclick="editDepartment('${department._id}')" class="btn-edit">✏️ Edit</button>
+                                    ${department.facultyCount === 0 ? `<button onclick="deleteDepartment('${department._id}')" class="btn-delete">🗑️ Delete</button>` : ''}
+                                </td>
+                            ` : ''}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+function setupDepartmentForm() {
+    const form = document.getElementById('departmentForm');
+    if (!form) return;
+    
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        
+        const saved = await saveDepartment(null, {
+            code: form.elements.code.value.trim(),
+            name: form.elements.name.value.trim()
+        });
+        if (saved) form.reset();
+    });
+}
+
+// Create (id null) or update a department; returns whether it was saved
+async function saveDepartment(id, department) {
+    try {
+        showLoading(true);
+        
+        const response = await apiFetch(id ? `/api/departments/${id}` : '/api/departments', {
+            method: id ? 'PUT' : 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(department)
+        });
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            const details = Array.isArray(result.error) ? `: ${result.error.join(', ')}` : '';
+            throw new Error((result.message || `HTTP error! status: ${response.status}`) + details);
+        }
+        
+        showMessage(result.message, 'success');
+        await loadDepartments();
+        return true;
+    } catch (error) {
+        console.error('❌ Error saving department:', error);
+        showMessage('Error saving department: ' + error.message, 'error');
+        return false;
+    } finally {
+        showLoading(false);
+    }
+}
+
+// Edit dialog; the HOD is chosen from the department's own faculty
+async function editDepartment(id) {
+    const department = departments.find(d => d._id === id);
+    if (!department) return;
+    
+    try {
+        showLoading(true);
+        
+        const response = await apiFetch(`/api/faculty?department=${id}&limit=500`);
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        openModal(`🏢 ${department.name}`, `
+            <form id="editDepartmentForm" class="faculty-form">
+                <div class="form-group">
+                    <label for="editDepartmentCode">Code *</label>
+                    <input type="text" id="editDepartmentCode" name="code" required maxlength="20" value="${escapeHtml(department.code)}" style="text-transform: uppercase;">
+                </div>
+                <div class="form-group">
+                    <label for="editDepartmentName">Name *</label>
+                    <input type="text" id="editDepartmentName" name="name" required maxlength="100" value="${escapeHtml(department.name)}">
+                </div>
+                <div class="form-group">
+                    <label for="editDepartmentHod">HOD</label>
+                    <select id="editDepartmentHod" name="hod">
+                        <option value="">None</option>
+                        ${result.data.map(faculty => `
+                            <option value="${faculty._id}" ${department.hod?._id === faculty._id ? 'selected' : ''}>
+                                ${escapeHtml(faculty.firstName)} ${escapeHtml(faculty.lastName)} (${escapeHtml(faculty.employeeId)}) - ${escapeHtml(faculty.designation)}
+                            </option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label><input type="checkbox" name="active" ${department.active ? 'checked' : ''}> Active</label>
+                    <small>Inactive departments keep their faculty but cannot be assigned to anyone new</small>
+                </div>
+                <div class="form-buttons">
+                    <button type="submit" class="btn-primary">💾 Save</button>
+                </div>
+            </form>
+        `);
+        
+        document.getElementById('editDepartmentForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const form = e.target;
+            const saved = await saveDepartment(id, {
+                code: form.elements.code.value.trim(),
+                name: form.elements.name.value.trim(),
+                hod: form.elements.hod.value,
+                active: form.elements.active.checked
+            });
+            if (saved) closeModal();
+        });
+    } catch (error) {
+        console.error('❌ Error loading department faculty:', error);
+        showMessage('Error loading department faculty: ' + error.message, 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+async function deleteDepartment(id) {
+    const department = departments.find(d => d._id === id);
+    if (!department || !confirm(`Delete department ${department.name}?`)) return;
+    
+    try {
+        const response = await apiFetch(`/api/departments/${id}`, { method: 'DELETE' });
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        showMessage(result.message, 'success');
+        await loadDepartments();
+    } catch (error) {
+        console.error('❌ Error deleting department:', error);
+        showMessage('Error deleting department: ' + error.message, 'error');
+    }
+}
+
+// Ratification rules
+const RULE_DESIGNATIONS = ['Assistant Professor', 'Associate Professor', 'Professor'];
+// Keep in sync with config/documents.js
+const DOCUMENT_CATEGORIES = [
+    'SSC Certificate',
+    'UG Degree Certificate',
+    'PG Degree Certificate',
+    'Ph.D Certificate',
+    'Experience Certificate',
+    'Appointment Order',
+    'Publication Proof',
+    'Identity Proof',
+    'Leave Order',
+    'Other'
+];
+// Publication types and indexings (see config/publications.js)
+const PUBLICATION_TYPES = ['Journal', 'Conference', 'Book', 'Book Chapter'];
+const PUBLICATION_INDEXING = ['SCI', 'Scopus', 'UGC-CARE', 'None'];
+// Indexings a rule set can restrict publication counts to
+const COUNTED_INDEXING = PUBLICATION_INDEXING.filter(indexing => indexing !== 'None');
+const RULE_FIELDS = ['minYearsOfService', 'minYearsInDesignation', 'minTeachingExperience', 'minTotalPublications', 'minJournals', 'minConferences', 'minBooks'];
+
+async function loadRuleSets() {
+    try {
+        const response = await apiFetch('/api/rulesets');
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        const currentResponse = await apiFetch('/api/rulesets/current');
+        const current = (await currentResponse.json()).data;
+        
+        displayCurrentRuleSet(current);
+        displayRuleSetVersions(result.data, result.currentVersion);
+        populateRuleSetForm(current);
+    } catch (error) {
+        console.error('❌ Error loading rule sets:', error);
+        showMessage('Error loading ratification rules: ' + error.message, 'error');
+    }
+}
+
+function ruleSetTable(ruleSet) {
+    const rows = RULE_DESIGNATIONS.map(designation => {
+        const rule = ruleSet.rules.find(r => r.designation === designation);
+        if (!rule) {
+            return `<tr><td>${designation}</td><td colspan="10"><em>Not eligible under this rule set</em></td></tr>`;
+        }
+        return `
+            <tr>
+                <td>${designation}</td>
+                ${RULE_FIELDS.map(field => `<td>${rule[field] || 0}</td>`).join('')}
+                <td>${escapeHtml((rule.requiredQualifications || []).join(', ')) || '-'}</td>
+                <td>${escapeHtml((rule.requiredDocuments || []).join(', ')) || '-'}</td>
+                <td>${escapeHtml((rule.countedIndexing || []).join(', ')) || 'Any'}</td>
+            </tr>
+        `;
+    }).join('');
+    
+    return `
+        <table class="rules-table">
+            <thead>
+                <tr>
+                    <th>Designation</th><th>Years of Service</th><th>Years in Designation</th><th>Teaching Exp.</th><th>Total Pubs</th>
+                    <th>Journals</th><th>Conferences</th><th>Books</th><th>Required Qualifications</th><th>Required Documents</th><th>Counted Indexing</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+function displayCurrentRuleSet(ruleSet) {
+    const container = document.getElementById('currentRuleSet');
+    container.innerHTML = `
+        <div class="ruleset-card current">
+            <h3>In force: v${ruleSet.version} - ${escapeHtml(ruleSet.name)}</h3>
+            <p class="section-note">
+                Effective from ${new Date(ruleSet.effectiveFrom).toLocaleDateString()}
+                ${ruleSet.circularReference ? ` · Circular ${escapeHtml(ruleSet.circularReference)}` : ''}
+                ${ruleSet.version === 0 ? ' · Built-in defaults (no rule set saved yet)' : ''}
+            </p>
+            ${ruleSetTable(ruleSet)}
+        </div>
+    `;
+}
+
+function displayRuleSetVersions(ruleSets, currentVersion) {
+    const container = document.getElementById('ruleSetVersions');
+    
+    if (ruleSets.length === 0) {
+        container.innerHTML = '<div class="no-data">No rule sets have been saved yet. The built-in defaults are in force.</div>';
+        return;
+    }
+    
+    const now = new Date();
+    container.innerHTML = ruleSets.map(ruleSet => {
+        const isFuture = new Date(ruleSet.effectiveFrom) > now;
+        const label = ruleSet.version === currentVersion ? 'In force' : isFuture ? 'Scheduled' : 'Superseded';
+        return `
+            <details class="ruleset-card">
+                <summary>
+                    <strong>v${ruleSet.version}</strong> - ${escapeHtml(ruleSet.name)}
+                    · from ${new Date(ruleSet.effectiveFrom).toLocaleDateString()}
+                    · <span class="ruleset-label ${label.toLowerCase().replace(' ', '-')}">${label}</span>
+                    ${ruleSet.createdByName ? ` · by ${escapeHtml(ruleSet.createdByName)}` : ''}
+                </summary>
+                ${ruleSet.circularReference ? `<p><strong>Circular:</strong> ${escapeHtml(ruleSet.circularReference)}</p>` : ''}
+                ${ruleSet.notes ? `<p><strong>Notes:</strong> ${escapeHtml(ruleSet.notes)}</p>` : ''}
+                ${ruleSetTable(ruleSet)}
+                ${isFuture && can('rules:manage') ? `<button onclick="deleteRuleSet('${ruleSet._id}', ${ruleSet.version})" class="btn-delete">🗑️ Delete Scheduled Version</button>` : ''}
+            </details>
+        `;
+    }).join('');
+}
+
+// Prefill the new-version form with the rules currently in force
+function populateRuleSetForm(ruleSet) {
+    const tbody = document.getElementById('ruleSetRows');
+    if (!tbody) return;
+    
+    tbody.innerHTML = RULE_DESIGNATIONS.map(designation => {
+        const rule = ruleSet.rules.find(r => r.designation === designation) || {};
+        return `
+            <tr data-designation="${designation}">
+                <td>${designation}</td>
+                ${RULE_FIELDS.map(field => `
+                    <td><input type="number" min="0" step="0.5" name="${field}" value="${rule[field] || 0}"></td>
+                `).join('')}
+                <td><input type="text" name="requiredQualifications" value="${escapeHtml((rule.requiredQualifications || []).join(', '))}" placeholder="Ph.D"></td>
+                <td>
+                    <select name="requiredDocuments" multiple size="3">
+                        ${DOCUMENT_CATEGORIES.map(category => `
+                            <option value="${escapeHtml(category)}" ${(rule.requiredDocuments || []).includes(category) ? 'selected' : ''}>${escapeHtml(category)}</option>
+                        `).join('')}
+                    </select>
+                </td>
+                <td>
+                    <select name="countedIndexing" multiple size="3">
+                        ${COUNTED_INDEXING.map(indexing => `
+                            <option value="${indexing}" ${(rule.countedIndexing || []).includes(indexing) ? 'selected' : ''}>${indexing}</option>
+                        `).join('')}
+                    </select>
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+function setupRuleSetForm() {
+    const form = document.getElementById('ruleSetForm');
+    if (!form) return;
+    
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        
+        const rules = [...document.querySelectorAll('#ruleSetRows tr')].map(row => {
+            const rule = { designation: row.dataset.designation };
+            RULE_FIELDS.forEach(field => {
+                rule[field] = parseFloat(row.querySelector(`[name="${field}"]`).value) || 0;
+            });
+            rule.requiredQualifications = row.querySelector('[name="requiredQualifications"]').value
+                .split(',')
+                .map(q => q.trim())
+                .filter(q => q.length > 0);
+            rule.requiredDocuments = [...row.querySelector('[name="requiredDocuments"]').selectedOptions].map(option => option.value);
+            rule.countedIndexing = [...row.querySelector('[name="countedIndexing"]').selectedOptions].map(option => option.value);
+            return rule;
+        });
+        
+        const ruleSet = {
+            name: form.elements.name.value.trim(),
+            circularReference: form.elements.circularReference.value.trim(),
+            effectiveFrom: form.elements.effectiveFrom.value,
+            notes: form.elements.notes.value.trim(),
+            rules
+        };
+        
+        try {
+            showLoading(true);
+            
+            const response = await apiFetch('/api/rulesets', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(ruleSet)
+            });
+            const result = await response.json();
+            
+            if (!response.ok || !result.success) {
+                throw new Error(Array.isArray(result.error) ? result.error.join(', ') : result.message);
+            }
+            
+            showMessage(`✅ ${result.message}`, 'success');
+            form.reset();
+            await loadRuleSets();
+        } catch (error) {
+            console.error('❌ Error saving rule set:', error);
+            showMessage('Error saving rule set: ' + error.message, 'error');
+        } finally {
+            showLoading(false);
+        }
+    });
+}
+
+async function deleteRuleSet(id, version) {
+    if (!confirm(`Delete scheduled rule set version ${version}?`)) return;
+    
+    try {
+        const response = await apiFetch(`/api/rulesets/${id}`, { method: 'DELETE' });
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        showMessage(result.message, 'success');
+        await loadRuleSets();
+    } catch (error) {
+        console.error('❌ Error deleting rule set:', error);
+        showMessage('Error deleting rule set: ' + error.message, 'error');
+    }
+}
+
+// Eligibility recomputation run log (see utils/eligibilityJob.js)
+async function loadEligibilityRuns() {
+    try {
+        const response = await apiFetch('/api/eligibility/runs');
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        const { schedule } = result;
+        document.getElementById('eligibilityScheduleNote').textContent = schedule.nextRunAt
+            ? `Stored eligibility is recomputed every night at ${schedule.time}; next run ${new Date(schedule.nextRunAt).toLocaleString()}.`
+            : 'The nightly recomputation is switched off (ELIGIBILITY_JOB_TIME).';
+        document.getElementById('runEligibilityBtn').disabled = result.running;
+        
+        const container = document.getElementById('eligibilityRuns');
+        if (result.data.length === 0) {
+            container.innerHTML = '<div class="no-data">Eligibility has not been recomputed yet.</div>';
+            return;
+        }
+        
+        container.innerHTML = `
+            <table class="rules-table">
+                <thead>
+                    <tr><th>Started</th><th>Trigger</th><th>Status</th><th>Rule Set</th><th>Checked</th><th>Became Eligible</th><th>Lost Eligibility</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${result.data.map(run => `
+                        <tr>
+                            <td>${new Date(run.startedAt).toLocaleString()}</td>
+                            <td>${run.trigger === 'manual' ? `Manual${run.triggeredByName ? ` (${escapeHtml(run.triggeredByName)})` : ''}` : 'Scheduled'}</td>
+                            <td>${escapeHtml(run.status)}${run.error ? `<div class="section-note">${escapeHtml(run.error)}</div>` : ''}</td>
+                            <td>${run.ruleSetVersion != null ? `v${run.ruleSetVersion}` : '-'}</td>
+                            <td>${run.checked}</td>
+                            <td>${run.becameEligible}</td>
+                            <td>${run.lostEligibility}</td>
+                            <td>${run.becameEligible + run.lostEligibility > 0 ? `<button onclick="showEligibilityRun('${run._id}')" class="btn-history">📋 Changes</button>` : ''}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    } catch (error) {
+        console.error('❌ Error loading eligibility runs:', error);
+        showMessage('Error loading eligibility runs: ' + error.message, 'error');
+    }
+}
+
+function eligibilityEventTable(events) {
+    if (events.length === 0) {
+        return '<p class="section-note">No faculty in your scope changed eligibility.</p>';
+    }
+    return `
+        <table class="rules-table">
+            <thead>
+                <tr><th>Faculty</th><th>Designation</th><th>Change</th><th>Criteria Not Met</th></tr>
+            </thead>
+            <tbody>
+                ${events.map(event => `
+                    <tr>
+                        <td>${escapeHtml(event.facultyName)} (${escapeHtml(event.employeeId)})</td>
+                        <td>${escapeHtml(event.designation)}</td>
+                        <td><span class="eligibility-summary ${event.type === 'Became Eligible' ? 'eligible' : 'ineligible'}">${escapeHtml(event.type)}</span></td>
+                        <td>${escapeHtml((event.failedCriteria || []).join(', ')) || '-'}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+async function showEligibilityRun(id) {
+    try {
+        showLoading(true);
+        
+        const response = await apiFetch(`/api/eligibility/runs/${id}`);
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        openModal(`🔁 Eligibility Run - ${new Date(result.data.startedAt).toLocaleString()}`, eligibilityEventTable(result.events));
+    } catch (error) {
+        console.error('❌ Error loading eligibility run:', error);
+        showMessage('Error loading eligibility run: ' + error.message, 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+async function runEligibilityRecomputation() {
+    try {
+        showLoading(true);
+        
+        const response = await apiFetch('/api/eligibility/runs', { method: 'POST' });
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        showMessage(`🔁 ${result.message}`, 'success');
+        if (result.events.length > 0) {
+            openModal('🔁 Eligibility Changes', eligibilityEventTable(result.events));
+        }
+        await loadEligibilityRuns();
+    } catch (error) {
+        console.error('❌ Error recomputing eligibility:', error);
+        showMessage('Error recomputing eligibility: ' + error.message, 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+// Email notifications: templates and delivery log (admins), opt-outs (every user)
+let notificationTemplates = [];
+let currentDeliveryStatus = 'Failed';
+
+const RECIPIENT_LABELS = {
+    faculty: 'Faculty member',
+    principal: 'Principal',
+    collegeAdmins: 'College Admins'
+};
+
+async function loadNotifications() {
+    // The delivery log takes the notice names from the templates
+    await loadNotificationTemplates();
+    await loadNotificationDeliveries();
+}
+
+async function loadNotificationTemplates() {
+    try {
+        const response = await apiFetch('/api/notifications/templates');
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        notificationTemplates = result.data;
+        document.getElementById('notificationTemplateList').innerHTML = `
+            <div class="rules-table-wrapper">
+                <table class="rules-table">
+                    <thead>
+                        <tr><th>Notice</th><th>Recipients</th><th>Mandatory</th><th>Subject</th><th>Template</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        ${notificationTemplates.map(template => `
+                            <tr>
+                                <td>${escapeHtml(template.label)}</td>
+                                <td>${template.recipients.map(group => RECIPIENT_LABELS[group]).join(', ')}</td>
+                                <td>${template.mandatory ? 'Yes' : 'No'}</td>
+                                <td>${escapeHtml(template.subject)}</td>
+                                <td>${template.customized ? `Edited by ${escapeHtml(template.updatedByName || '-')}` : 'Default'}</td>
+                                <td><button onclick="editNotificationTemplate('${template.event}')" class="btn-edit">✏️ Edit</button></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    } catch (error) {
+        console.error('❌ Error loading notification templates:', error);
+        showMessage('Error loading notification templates: ' + error.message, 'error');
+    }
+}
+
+function editNotificationTemplate(event) {
+    const template = notificationTemplates.find(t => t.event === event);
+    if (!template) return;
+    
+    openModal(`📧 ${template.label} Notice`, `
+        <p class="section-note">Placeholders: ${template.placeholders.map(name => `{{${name}}}`).join(', ')}</p>
+        <form id="notificationTemplateForm" class="faculty-form">
+            <div class="form-group full-width">
+                <label for="templateSubject">Subject *</label>
+                <input type="text" id="templateSubject" name="subject" required maxlength="300" value="${escapeHtml(template.subject)}">
+            </div>
+            <div class="form-group full-width">
+                <label for="templateBody">Body *</label>
+                <textarea id="templateBody" name="body" rows="14" required>${escapeHtml(template.body)}</textarea>
+            </div>
+            <div class="form-buttons">
+                <button type="submit" class="btn-primary">💾 Save</button>
+                ${template.customized ? `<button type="button" onclick="resetNotificationTemplate('${template.event}')" class="btn-secondary">↩️ Restore Default</button>` : ''}
+            </div>
+        </form>
+    `);
+    
+    document.getElementById('notificationTemplateForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const saved = await saveNotificationTemplate(event, 'PUT', {
+            subject: e.target.elements.subject.value,
+            body: e.target.elements.body.value
+        });
+        if (saved) closeModal();
+    });
+}
+
+async function resetNotificationTemplate(event) {
+    if (!confirm('Replace this template with the default text?')) return;
+    
+    const saved = await saveNotificationTemplate(event, 'DELETE');
+    if (saved) closeModal();
+}
+
+// Save (PUT) or reset (DELETE) a template; returns whether it worked
+async function saveNotificationTemplate(event, method, template) {
+    try {
+        showLoading(true);
+        
+        const response = await apiFetch(`/api/notifications/templates/${event}`, {
+            method,
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: template ? JSON.stringify(template) : undefined
+        });
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            const details = Array.isArray(result.error) ? `: ${result.error.join(', ')}` : '';
+            throw new Error((result.message || `HTTP error! status: ${response.status}`) + details);
+        }
+        
+        showMessage(result.message, 'success');
+        await loadNotificationTemplates();
+        return true;
+    } catch (error) {
+        console.error('❌ Error saving notification template:', error);
+        showMessage('Error saving notification template: ' + error.message, 'error');
+        return false;
+    } finally {
+        showLoading(false);
+    }
+}
+
+async function loadNotificationDeliveries() {
+    try {
+        const response = await apiFetch(`/api/notifications/deliveries?status=${encodeURIComponent(currentDeliveryStatus)}`);
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        document.getElementById('deliveryTabs').innerHTML = Object.entries(result.statuses).map(([status, count]) => `
+            <button class="queue-tab ${status === currentDeliveryStatus ? 'active' : ''}"
+                    onclick="switchDeliveryStatus('${status}')">${escapeHtml(status)} (${count})</button>
+        `).join('');
+        
+        const container = document.getElementById('deliveryList');
+        if (result.data.length === 0) {
+            container.innerHTML = `<div class="no-data">No ${currentDeliveryStatus.toLowerCase()} notices.</div>`;
+            return;
+        }
+        
+        const labels = Object.fromEntries(notificationTemplates.map(t => [t.event, t.label]));
+        container.innerHTML = `
+            <div class="rules-table-wrapper">
+                <table class="rules-table">
+                    <thead>
+                        <tr><th>Raised</th><th>Notice</th><th>To</th><th>Subject</th><th>Attempts</th><th>Details</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        ${result.data.map(delivery => `
+                            <tr>
+                                <td>${new Date(delivery.createdAt).toLocaleString()}</td>
+                                <td>${escapeHtml(labels[delivery.event] || delivery.event)}</td>
+                                <td>${escapeHtml(delivery.to)}</td>
+                                <td>${escapeHtml(delivery.subject)}</td>
+                                <td>${delivery.attempts}</td>
+                                <td>${deliveryDetails(delivery)}</td>
+                                <td>${['Pending', 'Failed'].includes(delivery.status) ? `<button onclick="retryDelivery('${delivery._id}')" class="btn-secondary">🔁 Retry</button>` : ''}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    } catch (error) {
+        console.error('❌ Error loading notification deliveries:', error);
+        showMessage('Error loading notification deliveries: ' + error.message, 'error');
+    }
+}
+
+function deliveryDetails(delivery) {
+    if (delivery.status === 'Sent') {
+        return `Sent ${new Date(delivery.sentAt).toLocaleString()}`;
+    }
+    if (delivery.status === 'Skipped') {
+        return escapeHtml(delivery.skipReason || '-');
+    }
+    const next = delivery.status === 'Pending' && delivery.nextAttemptAt
+        ? `<div class="section-note">Next attempt ${new Date(delivery.nextAttemptAt).toLocaleString()}</div>`
+        : '';
+    return `${escapeHtml(delivery.lastError || '-')}${next}`;
+}
+
+function switchDeliveryStatus(status) {
+    currentDeliveryStatus = status;
+    loadNotificationDeliveries();
+}
+
+async function retryDelivery(id) {
+    try {
+        showLoading(true);
+        
+        const response = await apiFetch(`/api/notifications/deliveries/${id}/retry`, { method: 'POST' });
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        showMessage(result.message, result.data.status === 'Sent' ? 'success' : 'error');
+        await loadNotificationDeliveries();
+    } catch (error) {
+        console.error('❌ Error retrying delivery:', error);
+        showMessage('Error retrying delivery: ' + error.message, 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+// Let the current user choose which optional notices they receive
+async function showNotificationPreferences() {
+    try {
+        showLoading(true);
+        
+        const response = await apiFetch('/api/notifications/preferences');
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        openModal('🔔 Email Notices', `
+            <p class="section-note">
+                Notices are sent to ${currentUser.email ? escapeHtml(currentUser.email) : 'the email address on your account (none is set)'}.
+                Ratification decisions and returned cases are always sent.
+            </p>
+            <form id="notificationPreferencesForm" class="faculty-form">
+                ${result.data.map(preference => `
+                    <div class="form-group full-width">
+                        <label>
+                            <input type="checkbox" name="${preference.event}" ${preference.optedOut ? '' : 'checked'} ${preference.mandatory ? 'disabled' : ''}>
+                            ${escapeHtml(preference.label)}${preference.mandatory ? ' (mandatory)' : ''}
+                        </label>
+                    </div>
+                `).join('')}
+                <div class="form-buttons">
+                    <button type="submit" class="btn-primary">💾 Save</button>
+                </div>
+            </form>
+        `);
+        
+        document.getElementById('notificationPreferencesForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const optOuts = result.data
+                .filter(preference => !preference.mandatory && !e.target.elements[preference.event].checked)
+                .map(preference => preference.event);
+            if (await saveNotificationPreferences(optOuts)) closeModal();
+        });
+    } catch (error) {
+        console.error('❌ Error loading notification preferences:', error);
+        showMessage('Error loading notification preferences: ' + error.message, 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+async function saveNotificationPreferences(optOuts) {
+    try {
+        const response = await apiFetch('/api/notifications/preferences', {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ optOuts })
+        });
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            const details = Array.isArray(result.error) ? `: ${result.error.join(', ')}` : '';
+            throw new Error((result.message || `HTTP error! status: ${response.status}`) + details);
+        }
+        
+        showMessage(result.message, 'success');
+        return true;
+    } catch (error) {
+        console.error('❌ Error saving notification preferences:', error);
+        showMessage('Error saving notification preferences: ' + error.message, 'error');
+        return false;
+    }
+}
+
+// Enhanced error handling and user feedback
+function showMessage(message, type = 'info', duration = 5000) {
+    // Remove existing messages
+    const existingMessages = document.querySelectorAll('.message');
+    existingMessages.forEach(msg => msg.remove());
+    
+    // Create new message element
+    const messageDiv = document.createElement('div');
+    messageDiv.className = `message ${type}`;
+    messageDiv.textContent = message;
+    
+    // Style the message
+    messageDiv.style.cssText = `
+        position: fixed;
+        top: 20px;
+        right: 20px;
+        padding: 1rem 1.5rem;
+        border-radius: 8px;
         font-weight: 600;
         z-index: 1001;
         box-shadow: 0 4px 12px rgba(0, 0, 0, 0.15);
@@ -814,41 +4076,259 @@ async function testBackendConnection() {
     }
 }
 
-// Load ratification data
+// Ratification view: 'candidates' or one of the case stages
+let currentRatificationView = 'candidates';
+let candidatePage = 1;
+
+const CASE_ACTION_LABELS = {
+    'Submitted': { advance: '👍 Recommend' },
+    'HOD Recommended': { advance: '🔍 Complete Scrutiny' },
+    'Committee Scrutinized': { advance: '✅ Approve & Ratify' },
+    'Returned': { resubmit: '📨 Resubmit' }
+};
+
+// Load ratification data for the selected queue
 async function loadRatificationData() {
     try {
-        const response = await fetch('/api/ratification/eligible');
-        const result = await response.json();
+        const stageParam = currentRatificationView === 'candidates' ? 'open=true' : `stage=${encodeURIComponent(currentRatificationView)}`;
+        const college = document.getElementById('ratificationCollegeFilter').value;
+        const collegeParam = college ? `&college=${college}` : '';
+        const casesResponse = await apiFetch(`/api/ratification/cases?${stageParam}${collegeParam}`);
+        const casesResult = await casesResponse.json();
         
-        if (result.success) {
-            displayRatificationList(result.data);
+        if (!casesResult.success) {
+            throw new Error(casesResult.message);
+        }
+        
+        displayRatificationTabs(casesResult.stages);
+        
+        const pagination = document.getElementById('ratificationPagination');
+        if (currentRatificationView === 'candidates') {
+            const response = await apiFetch(`/api/ratification/candidates?page=${candidatePage}${collegeParam}`);
+            const result = await response.json();
+            
+            if (result.success) {
+                // Submitting can empty the last page; show the new last page instead
+                const { current, pages, total } = result.pagination;
+                if (result.data.length === 0 && current > 1 && pages > 0) {
+                    candidatePage = pages;
+                    return loadRatificationData();
+                }
+                
+                pagination.innerHTML = pages > 1 ? `
+                    <button class="btn-secondary" onclick="goToCandidatePage(${current - 1})" ${current <= 1 ? 'disabled' : ''}>« Previous</button>
+                    <span>Page ${current} of ${pages} (${total} candidates)</span>
+                    <button class="btn-secondary" onclick="goToCandidatePage(${current + 1})" ${current >= pages ? 'disabled' : ''}>Next »</button>
+                ` : '';
+                displayRatificationList(result.data, result.ruleSet, result.counts);
+            }
+        } else {
+            pagination.innerHTML = '';
+            displayRatificationCases(casesResult.data);
         }
     } catch (error) {
         console.error('Error loading ratification data:', error);
     }
 }
 
-// Display ratification list
-function displayRatificationList(eligibleFaculty) {
+// Queue tabs with the number of cases in each stage
+function displayRatificationTabs(stages) {
+    const tabs = [{ name: 'candidates', label: 'Candidates' }]
+        .concat(stages.map(stage => ({ name: stage.name, label: `${stage.name} (${stage.count})` })));
+    
+    document.getElementById('ratificationTabs').innerHTML = tabs.map(tab => `
+        <button class="queue-tab ${tab.name === currentRatificationView ? 'active' : ''}"
+                onclick="switchRatificationView('${tab.name}')">${escapeHtml(tab.label)}</button>
+    `).join('');
+}
+
+function switchRatificationView(view) {
+    currentRatificationView = view;
+    candidatePage = 1;
+    loadRatificationData();
+}
+
+function goToCandidatePage(page) {
+    candidatePage = page;
+    loadRatificationData();
+}
+
+// Display a page of ratification candidates: eligible ones can be submitted, the rest show the
+// reasons why not. counts are the totals across all pages.
+function displayRatificationList(candidates, ruleSet, counts) {
     const container = document.getElementById('ratificationList');
     
-    if (!eligibleFaculty || eligibleFaculty.length === 0) {
-        container.innerHTML = '<div class="no-data">No faculty members are currently eligible for ratification.</div>';
+    if (!candidates || candidates.length === 0) {
+        container.innerHTML = '<div class="no-data">There are no faculty members awaiting ratification.</div>';
         return;
     }
     
-    const html = eligibleFaculty.map(faculty => `
-        <div class="ratification-card">
-            <h3>${faculty.firstName} ${faculty.lastName}</h3>
-            <p><strong>Department:</strong> ${faculty.department}</p>
-            <p><strong>Designation:</strong> ${faculty.designation}</p>
-            <p><strong>Teaching Experience:</strong> ${faculty.experience.teaching} years</p>
-            <p><strong>Total Publications:</strong> ${faculty.publications.journals + faculty.publications.conferences + faculty.publications.books}</p>
-            <button onclick="ratifyFaculty('${faculty._id}')" class="btn-ratify">✅ Ratify</button>
+    const eligible = candidates.filter(c => c.eligibility.eligible);
+    const notEligible = candidates.filter(c => !c.eligibility.eligible);
+    
+    const card = (faculty) => `
+        <div class="ratification-card ${faculty.eligibility.eligible ? '' : 'not-eligible'}">
+            <h3>${escapeHtml(faculty.firstName)} ${escapeHtml(faculty.lastName)}</h3>
+            <p><strong>College:</strong> ${escapeHtml(faculty.college?.name)}</p>
+            <p><strong>Department:</strong> ${escapeHtml(faculty.department?.name)}</p>
+            <p><strong>Designation:</strong> ${escapeHtml(faculty.designation)}</p>
+            ${faculty.ratificationStatus?.needsReRatification ? `<p class="eligibility-summary ineligible">⚠️ Needs re-ratification: ${escapeHtml(faculty.ratificationStatus.reRatificationReason)}</p>` : ''}
+            ${faculty.missingDocuments?.length ? `<p class="eligibility-summary ineligible">📎 Documents required before approval: ${faculty.missingDocuments.map(escapeHtml).join(', ')} <button onclick="showDocuments('${faculty._id}')" class="btn-history">📎 Documents</button></p>` : ''}
+            ${faculty.duplicateConflicts ? `<p class="eligibility-summary ineligible">🔎 Suspected duplicate record - ratification is blocked until the duplicate review is resolved</p>` : ''}
+            ${faculty.openCase ? `<p><strong>Case:</strong> ${escapeHtml(faculty.openCase.caseNumber)} - <span class="case-stage">${escapeHtml(faculty.openCase.stage)}</span></p>` : ''}
+            ${eligibilityBreakdownHtml(faculty.eligibility)}
+            ${faculty.eligibility.eligible && !faculty.openCase && !faculty.duplicateConflicts && can('ratification:submit') ? `<button onclick="submitForRatification('${faculty._id}')" class="btn-ratify">📨 Submit for Ratification</button>` : ''}
         </div>
+    `;
+    
+    container.innerHTML = `
+        <p class="section-note">Evaluated against rule set v${ruleSet.version} - ${escapeHtml(ruleSet.name)}</p>
+        ${eligible.length > 0 || counts.eligible === 0 ? `
+            <h3 class="subsection-title">Eligible for Ratification (${counts.eligible})</h3>
+            ${eligible.length > 0 ? eligible.map(card).join('') : '<div class="no-data">No faculty members are currently eligible for ratification.</div>'}
+        ` : ''}
+        ${notEligible.length > 0 ? `
+            <h3 class="subsection-title">Not Yet Eligible (${counts.notEligible})</h3>
+            ${notEligible.map(card).join('')}
+        ` : ''}
+    `;
+}
+
+// Table of eligibility criteria with required/actual values, shortfall and projected dates
+function eligibilityBreakdownHtml(eligibility) {
+    if (eligibility.criteria.length === 0) {
+        return `<p class="section-note">${escapeHtml(eligibility.message || 'No criteria defined')}</p>`;
+    }
+    
+    const rows = eligibility.criteria.map(c => `
+        <tr class="${c.passed ? 'criterion-pass' : 'criterion-fail'}">
+            <td>${escapeHtml(c.label)}</td>
+            <td>${escapeHtml(c.required)}${c.unit ? ` ${c.unit}` : ''}</td>
+            <td>${escapeHtml(c.actual)}${c.unit ? ` ${c.unit}` : ''}</td>
+            <td>${c.passed ? '✅' : '❌'}</td>
+            <td>${c.passed ? '-' : `${c.shortfall}${c.unit ? ` ${c.unit}` : ''}`}</td>
+            <td>${c.timeBased && !c.passed ? new Date(c.eligibleOn).toLocaleDateString() : '-'}</td>
+        </tr>
     `).join('');
     
-    container.innerHTML = html;
+    let projection = '';
+    if (eligibility.eligible) {
+        projection = '<p class="eligibility-summary eligible">✅ Meets all ratification criteria</p>';
+    } else if (eligibility.projectedEligibilityDate) {
+        projection = `<p class="eligibility-summary projected">⏳ Projected to become eligible on ${new Date(eligibility.projectedEligibilityDate).toLocaleDateString()} if nothing else changes</p>`;
+    } else {
+        projection = `<p class="eligibility-summary ineligible">❌ ${escapeHtml(eligibility.message || 'Not eligible')}</p>`;
+    }
+    
+    return `
+        ${projection}
+        <table class="eligibility-table">
+            <thead>
+                <tr><th>Criterion</th><th>Required</th><th>Actual</th><th>Met</th><th>Shortfall</th><th>Met On</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+// Show the eligibility breakdown and ratification history of one faculty member
+async function showEligibility(id) {
+    try {
+        showLoading(true);
+        
+        const [eligibilityResponse, facultyResponse] = await Promise.all([
+            apiFetch(`/api/faculty/${id}/eligibility`),
+            apiFetch(`/api/faculty/${id}`)
+        ]);
+        const result = await eligibilityResponse.json();
+        const facultyResult = await facultyResponse.json();
+        
+        if (!eligibilityResponse.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${eligibilityResponse.status}`);
+        }
+        if (!facultyResponse.ok || !facultyResult.success) {
+            throw new Error(facultyResult.message || `HTTP error! status: ${facultyResponse.status}`);
+        }
+        
+        const faculty = facultyResult.data;
+        const status = faculty.ratificationStatus || {};
+        const title = `📋 Eligibility & Ratification - ${faculty.firstName} ${faculty.lastName}`;
+        
+        openModal(title, `
+            <p class="section-note">
+                ${escapeHtml(result.data.designation)} · Rule set v${result.data.ruleSetVersion} - ${escapeHtml(result.data.ruleSetName)}
+                ${status.isRatified ? ' · Ratified' : ''}
+            </p>
+            ${status.needsReRatification ? `<p class="eligibility-summary ineligible">⚠️ Needs re-ratification: ${escapeHtml(status.reRatificationReason)}</p>` : ''}
+            ${eligibilityBreakdownHtml(result.data)}
+            <h3 class="subsection-title">Ratification History</h3>
+            ${ratificationHistoryHtml(faculty.ratificationHistory || [])}
+            ${status.isRatified && can('ratification:revoke') ? `<button onclick="revokeRatification('${faculty._id}')" class="btn-delete">🚫 Revoke Ratification</button>` : ''}
+        `);
+    } catch (error) {
+        console.error('❌ Error loading eligibility:', error);
+        showMessage('Error loading eligibility: ' + error.message, 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+function ratificationHistoryHtml(history) {
+    if (history.length === 0) {
+        return '<p class="section-note">No ratification decisions have been recorded.</p>';
+    }
+    
+    return `
+        <ol class="case-steps">
+            ${history.slice().reverse().map(entry => `
+                <li>
+                    <strong>${escapeHtml(entry.action)}</strong>
+                    · ${new Date(entry.date).toLocaleString()}
+                    · ${escapeHtml(entry.by || 'System')}
+                    · ${escapeHtml(entry.designation)}
+                    ${entry.caseNumber ? ` · ${escapeHtml(entry.caseNumber)}` : ''}
+                    ${entry.ruleSetVersion !== undefined && entry.ruleSetVersion !== null ? ` · Rule set v${entry.ruleSetVersion}` : ''}
+                    ${entry.remarks ? `<div class="case-remarks">“${escapeHtml(entry.remarks)}”</div>` : ''}
+                </li>
+            `).join('')}
+        </ol>
+    `;
+}
+
+async function revokeRatification(id) {
+    const reason = prompt('Reason for revoking this ratification (required):');
+    if (reason === null) return;
+    
+    if (!reason.trim()) {
+        showMessage('A reason is required to revoke a ratification', 'error');
+        return;
+    }
+    
+    try {
+        showLoading(true);
+        
+        const response = await apiFetch(`/api/ratification/revoke/${id}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ reason: reason.trim() })
+        });
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        showMessage('🚫 Ratification revoked', 'success');
+        closeModal();
+        await loadFacultyData();
+    } catch (error) {
+        console.error('❌ Error revoking ratification:', error);
+        showMessage('Error revoking ratification: ' + error.message, 'error');
+    } finally {
+        showLoading(false);
+    }
 }
 
 // Edit faculty function - COMPLETE IMPLEMENTATION
@@ -894,14 +4374,20 @@ function populateFormForEdit(faculty) {
     form.elements.lastName.value = faculty.lastName || '';
     form.elements.email.value = faculty.email || '';
     form.elements.employeeId.value = faculty.employeeId || '';
-    form.elements.department.value = faculty.department || '';
+    form.elements.aicteId.value = faculty.aicteId || '';
+    form.elements.pan.value = faculty.pan || '';
+    form.elements.dateOfBirth.value = faculty.dateOfBirth ? faculty.dateOfBirth.slice(0, 10) : '';
+    form.elements.college.value = faculty.college?._id || '';
+    form.elements.department.value = faculty.department?._id || '';
     form.elements.designation.value = faculty.designation || '';
-    form.elements.dateOfJoining.value = faculty.dateOfJoining || '';
+    form.elements.dateOfJoining.value = faculty.dateOfJoining ? faculty.dateOfJoining.slice(0, 10) : '';
+    form.elements.employmentType.value = faculty.employmentType || 'Regular';
     
-    // Qualifications - join array with commas
-    form.elements.qualifications.value = Array.isArray(faculty.qualifications) 
-        ? faculty.qualifications.join(', ') 
-        : faculty.qualifications || '';
+    // Records with a service history change these through it
+    setServiceHistoryLock((faculty.serviceHistory || []).length > 0);
+
+    // Qualifications - one row per degree
+    setQualificationRows(faculty.qualifications || []);
     
     // Experience
     form.elements.teachingExperience.value = faculty.experience?.teaching || 0;
@@ -923,6 +4409,20 @@ function populateFormForEdit(faculty) {
     console.log('✅ Form populated with faculty data');
 }
 
+// Fields derived from the service history (see config/serviceHistory.js)
+const SERVICE_DERIVED_FIELDS = ['designation', 'department', 'employmentType', 'dateOfJoining'];
+
+// Lock the derived fields while editing a record that has a service history;
+// the appointment order number only applies to new records
+function setServiceHistoryLock(locked) {
+    const form = document.getElementById('facultyForm');
+    SERVICE_DERIVED_FIELDS.forEach(name => {
+        form.elements[name].disabled = locked;
+    });
+    document.getElementById('serviceHistoryNote').hidden = !locked;
+    document.getElementById('appointmentOrderGroup').hidden = Boolean(currentEditId);
+}
+
 // Update form UI for edit mode
 function updateFormForEditMode(isEditMode) {
     const formTitle = document.querySelector('#addFaculty h2');
@@ -977,6 +4477,8 @@ function updateFormForEditMode(isEditMode) {
         if (cancelButton) {
             cancelButton.remove();
         }
+        
+        setServiceHistoryLock(false);
     }
 }
 
@@ -1007,7 +4509,7 @@ async function updateFaculty(id, facultyData) {
         showLoading(true);
         console.log('🔄 Updating faculty ID:', id, 'with data:', facultyData);
         
-        const response = await fetch(`/api/faculty/${id}`, {
+        const response = await apiFetch(`/api/faculty/${id}`, {
             method: 'PUT',
             headers: {
                 'Content-Type': 'application/json'
@@ -1046,37 +4548,112 @@ async function updateFaculty(id, facultyData) {
     }
 }
 
-// Ratify faculty function
-async function ratifyFaculty(id) {
-    try {
-        const ratifiedBy = prompt('Enter your name/ID for ratification:');
-        if (!ratifiedBy) return;
+// Display the cases in one workflow stage
+function displayRatificationCases(cases) {
+    const container = document.getElementById('ratificationList');
+    
+    if (!cases || cases.length === 0) {
+        container.innerHTML = `<div class="no-data">No cases in "${escapeHtml(currentRatificationView)}".</div>`;
+        return;
+    }
+    
+    container.innerHTML = cases.map(c => {
+        const labels = { return: '↩️ Return', reject: '⛔ Reject', ...(CASE_ACTION_LABELS[c.stage] || {}) };
+        const buttons = c.allowedActions.map(action => `
+            <button onclick="ratificationCaseAction('${c._id}', '${action}')" class="${action === 'reject' ? 'btn-delete' : action === 'return' ? 'btn-edit' : 'btn-ratify'}">${labels[action]}</button>
+        `).join('');
         
-        const comments = prompt('Enter any comments (optional):') || '';
+        const steps = c.steps.map(step => `
+            <li>
+                <strong>${escapeHtml(step.toStage)}</strong>
+                · ${new Date(step.at).toLocaleString()}
+                · ${escapeHtml(step.byName)} (${escapeHtml(step.byRole)})
+                ${step.remarks ? `<div class="case-remarks">“${escapeHtml(step.remarks)}”</div>` : ''}
+            </li>
+        `).join('');
+        
+        return `
+            <div class="ratification-card case-card">
+                <h3>${escapeHtml(c.caseNumber)} - ${escapeHtml(c.facultySnapshot?.name)}</h3>
+                <p><strong>Employee ID:</strong> ${escapeHtml(c.facultySnapshot?.employeeId)}</p>
+                <p><strong>College:</strong> ${escapeHtml(c.facultySnapshot?.college)}</p>
+                <p><strong>Department:</strong> ${escapeHtml(c.facultySnapshot?.department)}</p>
+                <p><strong>Designation:</strong> ${escapeHtml(c.facultySnapshot?.designation)}</p>
+                <p><strong>Stage:</strong> <span class="case-stage">${escapeHtml(c.stage)}</span></p>
+                ${c.ruleSetVersion ? `<p><strong>Rule Set:</strong> v${c.ruleSetVersion}</p>` : ''}
+                <ol class="case-steps">${steps}</ol>
+                <div class="faculty-actions">${buttons}</div>
+            </div>
+        `;
+    }).join('');
+}
+
+// Submit an eligible faculty member for ratification
+async function submitForRatification(facultyId) {
+    const remarks = prompt('Remarks for the HOD (optional):');
+    if (remarks === null) return;
+    
+    try {
+        showLoading(true);
         
-        const response = await fetch(`/api/ratification/ratify/${id}`, {
+        const response = await apiFetch('/api/ratification/cases', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify({
-                ratifiedBy,
-                comments
-            })
+            body: JSON.stringify({ facultyId, remarks })
         });
+        const result = await response.json();
+        
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
+        }
+        
+        showMessage(`📨 ${result.message}`, 'success');
+        loadRatificationData();
+    } catch (error) {
+        console.error('Error submitting for ratification:', error);
+        showMessage('Error submitting for ratification: ' + error.message, 'error');
+    } finally {
+        showLoading(false);
+    }
+}
+
+// Advance, return, reject or resubmit a case
+async function ratificationCaseAction(caseId, action) {
+    const remarksRequired = action === 'return' || action === 'reject';
+    const remarks = prompt(remarksRequired ? `Reason to ${action} this case (required):` : 'Remarks (optional):');
+    if (remarks === null) return;
+    
+    if (remarksRequired && !remarks.trim()) {
+        showMessage(`Remarks are required to ${action} a case`, 'error');
+        return;
+    }
+    
+    try {
+        showLoading(true);
         
+        const response = await apiFetch(`/api/ratification/cases/${caseId}/${action}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ remarks: remarks.trim() })
+        });
         const result = await response.json();
         
-        if (result.success) {
-            showMessage('Faculty ratified successfully!', 'success');
-            loadRatificationData(); // Refresh the list
-            loadFacultyData(); // Refresh main faculty data
-        } else {
-            showMessage('Error ratifying faculty: ' + result.message, 'error');
+        if (!response.ok || !result.success) {
+            throw new Error(result.message || `HTTP error! status: ${response.status}`);
         }
+        
+        showMessage(result.message, 'success');
+        loadRatificationData(); // Refresh the queue
+        loadFacultyData(); // Refresh main faculty data
     } catch (error) {
-        console.error('Error ratifying faculty:', error);
-        showMessage('Error ratifying faculty: ' + error.message, 'error');
+        console.error('Error processing ratification case:', error);
+        showMessage('Error: ' + error.message, 'error');
+    } finally {
+        showLoading(false);
     }
 }
 
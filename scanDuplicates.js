@@ -0,0 +1,34 @@
+// scanDuplicates.js
+// Detection job: checks every faculty record for suspected duplicates (same AICTE faculty ID or PAN,
+// or a similar name with the same phone number or date of birth) and queues them for review.
+// Run it from cron, e.g. nightly; POST /api/duplicates/scan does the same on demand.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { scanForDuplicates } = require('./utils/duplicateDetection');
+
+const scanDuplicates = async () => {
+    try {
+        const mongoURI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/jntuk_faculty';
+        console.log('📡 Connecting to:', mongoURI);
+        await mongoose.connect(mongoURI);
+        console.log('✅ Connected to MongoDB');
+        
+        const result = await scanForDuplicates();
+        console.log(`🔎 ${result.scanned} faculty records checked, ${result.openConflicts} suspected duplicate pair(s) open for review`);
+    } finally {
+        await mongoose.connection.close();
+        console.log('🔌 Database connection closed');
+    }
+};
+
+if (require.main === module) {
+    scanDuplicates()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error('❌ Duplicate scan failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = scanDuplicates;
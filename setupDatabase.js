@@ -2,7 +2,14 @@
 const mongoose = require('mongoose');
 require('dotenv').config();
 
-const Faculty = require('../models/Faculty');
+const crypto = require('crypto');
+
+const Faculty = require('./models/faculty');
+const User = require('./models/user');
+const RuleSet = require('./models/ruleSet');
+const Department = require('./models/department');
+const College = require('./models/college');
+const { ROLES } = require('./config/roles');
 
 const setupDatabase = async () => {
     try {
@@ -24,6 +31,32 @@ const setupDatabase = async () => {
         await Faculty.createIndexes();
         console.log('✅ Indexes created');
         
+        // Store the original JNTUK thresholds as rule set version 1
+        const ruleSetCount = await RuleSet.countDocuments();
+        if (ruleSetCount === 0) {
+            console.log('📐 Creating initial ratification rule set...');
+            await RuleSet.create({
+                version: 1,
+                name: 'JNTUK ratification norms',
+                effectiveFrom: new Date('2000-01-01'),
+                rules: RuleSet.DEFAULT_RULES
+            });
+            console.log('✅ Rule set version 1 created');
+        }
+        
+        const ruleSet = await RuleSet.findEffective();
+        
+        // Create the departments that used to be hard-coded
+        const createdDepartments = await Department.ensureDefaults();
+        if (createdDepartments > 0) {
+            console.log(`✅ ${createdDepartments} departments created`);
+        }
+        const departmentId = async (code) => (await Department.findOne({ code }))._id;
+        
+        // Sample faculty belong to the university's own constituent college
+        const universityCollege = await College.ensureUniversityCollege();
+        console.log(`✅ College ${universityCollege.code} ready`);
+
         // Check existing data
         const existingCount = await Faculty.countDocuments();
         console.log(`📊 Existing faculty records: ${existingCount}`);
@@ -37,10 +70,14 @@ const setupDatabase = async () => {
                     lastName: 'Doe',
                     email: 'john.doe@jntuk.edu.in',
                     employeeId: 'JNTUK001',
-                    department: 'Computer Science Engineering',
+                    college: universityCollege._id,
+                    department: await departmentId('CSE'),
                     designation: 'Professor',
                     dateOfJoining: new Date('2020-01-15'),
-                    qualifications: ['Ph.D', 'M.Tech'],
+                    qualifications: [
+                        { level: 'Doctorate', degree: 'Ph.D', specialization: 'Computer Science', university: 'JNTU Kakinada', yearOfAward: 2012 },
+                        { level: 'PG', degree: 'M.Tech', specialization: 'Computer Science', university: 'JNTU Hyderabad', yearOfAward: 2005, classObtained: 'First Class', percentage: 78 }
+                    ],
                     experience: {
                         teaching: 10,
                         industry: 5,
@@ -65,10 +102,14 @@ const setupDatabase = async () => {
                     lastName: 'Smith',
                     email: 'jane.smith@jntuk.edu.in',
                     employeeId: 'JNTUK002',
-                    department: 'Electrical Engineering',
+                    college: universityCollege._id,
+                    department: await departmentId('EEE'),
                     designation: 'Associate Professor',
                     dateOfJoining: new Date('2021-03-20'),
-                    qualifications: ['Ph.D', 'M.E'],
+                    qualifications: [
+                        { level: 'Doctorate', degree: 'Ph.D', specialization: 'Communication Systems', university: 'Andhra University', yearOfAward: 2016 },
+                        { level: 'PG', degree: 'M.E', specialization: 'Communication Systems', university: 'Andhra University', yearOfAward: 2009, classObtained: 'Distinction', percentage: 82 }
+                    ],
                     experience: {
                         teaching: 8,
                         industry: 3,
@@ -93,10 +134,14 @@ const setupDatabase = async () => {
                     lastName: 'Johnson',
                     email: 'bob.johnson@jntuk.edu.in',
                     employeeId: 'JNTUK003',
-                    department: 'Mechanical Engineering',
+                    college: universityCollege._id,
+                    department: await departmentId('ME'),
                     designation: 'Assistant Professor',
                     dateOfJoining: new Date('2022-06-10'),
-                    qualifications: ['M.Tech', 'B.Tech'],
+                    qualifications: [
+                        { level: 'PG', degree: 'M.Tech', specialization: 'Thermal Engineering', university: 'JNTU Kakinada', yearOfAward: 2017, classObtained: 'First Class', percentage: 71 },
+                        { level: 'UG', degree: 'B.Tech', specialization: 'Mechanical Engineering', university: 'JNTU Kakinada', yearOfAward: 2014, classObtained: 'First Class', percentage: 68 }
+                    ],
                     experience: {
                         teaching: 5,
                         industry: 2,
@@ -120,7 +165,7 @@ const setupDatabase = async () => {
             
             for (const facultyData of sampleFaculty) {
                 const faculty = new Faculty(facultyData);
-                faculty.checkRatificationEligibility();
+                faculty.checkRatificationEligibility(ruleSet);
                 await faculty.save();
                 console.log(`✅ Created: ${faculty.fullName}`);
             }
@@ -128,6 +173,28 @@ const setupDatabase = async () => {
             console.log('✅ Sample data created successfully');
         }
         
+        // Create the first University Admin so someone can log in
+        const userCount = await User.countDocuments();
+        if (userCount === 0) {
+            console.log('👤 Creating initial University Admin...');
+            
+            const username = process.env.ADMIN_USERNAME || 'admin';
+            const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(9).toString('base64');
+            
+            const admin = new User({
+                username,
+                name: 'University Administrator',
+                role: ROLES.UNIVERSITY_ADMIN
+            });
+            await admin.setPassword(password);
+            await admin.save();
+            
+            console.log(`✅ Created admin user: ${username}`);
+            if (!process.env.ADMIN_PASSWORD) {
+                console.log(`🔑 Generated password: ${password} (change it after first login)`);
+            }
+        }
+        
         // Verify the setup
         const finalCount = await Faculty.countDocuments();
         console.log(`📊 Total faculty records: ${finalCount}`);
@@ -0,0 +1,34 @@
+// syncLeaveStatus.js
+// Leave job: sets faculty whose approved leave has started to On Leave, and those whose leave
+// has ended back to Active. Saving a record does the same for that record; this catches the
+// days on which nothing is saved. Run it from cron shortly after midnight.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Faculty = require('./models/faculty');
+
+const syncLeaveStatus = async () => {
+    try {
+        const mongoURI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/jntuk_faculty';
+        console.log('📡 Connecting to:', mongoURI);
+        await mongoose.connect(mongoURI);
+        console.log('✅ Connected to MongoDB');
+        
+        const result = await Faculty.syncLeaveStatuses();
+        console.log(`🌴 ${result.onLeave} faculty went on leave, ${result.returned} returned from leave`);
+    } finally {
+        await mongoose.connection.close();
+        console.log('🔌 Database connection closed');
+    }
+};
+
+if (require.main === module) {
+    syncLeaveStatus()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error('❌ Leave status sync failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = syncLeaveStatus;
@@ -0,0 +1,91 @@
+// utils/audit.js
+const AuditLog = require('../models/auditLog');
+
+// Bookkeeping fields that change on every save, and the search text and words derived from
+// other fields, say nothing about the record itself
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'searchText', 'searchWords'];
+
+const isPlainObject = (value) => {
+    return value !== null &&
+        typeof value === 'object' &&
+        !Array.isArray(value) &&
+        !(value instanceof Date) &&
+        value.constructor?.name !== 'ObjectId';
+};
+
+// Flatten a nested object into dotted paths; arrays and dates are kept as single values
+const flatten = (value, prefix = '', result = {}) => {
+    if (!isPlainObject(value)) {
+        if (prefix) result[prefix] = value;
+        return result;
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+        if (!prefix && IGNORED_FIELDS.includes(key)) continue;
+        flatten(child, prefix ? `${prefix}.${key}` : key, result);
+    }
+    return result;
+};
+
+const normalize = (value) => {
+    if (value === undefined) return null;
+    return JSON.parse(JSON.stringify(value));
+};
+
+const toPlain = (doc) => {
+    if (!doc) return {};
+    return typeof doc.toObject === 'function' ? doc.toObject() : doc;
+};
+
+// Field-level before/after diff between two versions of a document
+const diffDocuments = (before, after) => {
+    const beforeFields = flatten(toPlain(before));
+    const afterFields = flatten(toPlain(after));
+    const fields = new Set([...Object.keys(beforeFields), ...Object.keys(afterFields)]);
+
+    const changes = [];
+    for (const field of [...fields].sort()) {
+        const oldValue = normalize(beforeFields[field]);
+        const newValue = normalize(afterFields[field]);
+
+        if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+            changes.push({ field, before: oldValue, after: newValue });
+        }
+    }
+    return changes;
+};
+
+// Append an audit entry for a change made through an API request.
+// Failures are logged rather than thrown: the change itself has already been committed.
+const recordAudit = async (req, { action, entityType = 'Faculty', entityId, before, after }) => {
+    try {
+        const entry = new AuditLog({
+            action,
+            entityType,
+            entityId,
+            actor: req.user ? {
+                user: req.user._id,
+                username: req.user.username,
+                name: req.user.name,
+                role: req.user.role
+            } : undefined,
+            route: {
+                method: req.method,
+                path: req.originalUrl
+            },
+            ipAddress: req.ip,
+            changes: diffDocuments(before, after)
+        });
+
+        await entry.save();
+        return entry;
+    } catch (error) {
+        console.error(`❌ Failed to record audit entry (${action} ${entityType} ${entityId}):`, error);
+        return null;
+    }
+};
+
+module.exports = {
+    diffDocuments,
+    recordAudit
+};
@@ -0,0 +1,96 @@
+// utils/compliance.js
+const {
+    CADRE_RATIO,
+    STUDENTS_PER_FACULTY,
+    PROGRAM_DURATION_YEARS,
+    COMPLIANCE_STATUS
+} = require('../config/compliance');
+
+// Senior cadre first; a surplus in a cadre is counted towards the cadres below it
+const CADRES = Object.keys(CADRE_RATIO);
+const STATUS_ORDER = [COMPLIANCE_STATUS.GREEN, COMPLIANCE_STATUS.AMBER, COMPLIANCE_STATUS.RED];
+
+// Sanctioned intake for a department: ?intake=60 applies to every department,
+// ?intake[CSE]=120&intake[ECE]=60 gives it per department code. Returns null when not given.
+const intakeFor = (intake, departmentCode) => {
+    const value = typeof intake === 'object' && intake !== null ? intake[departmentCode] : intake;
+    if (value === undefined || value === '') return null;
+    const number = Number(value);
+    return Number.isInteger(number) && number >= 0 ? number : NaN;
+};
+
+// Faculty needed per cadre for the total, in the 1:2:6 ratio; the rest are Assistant Professors
+const requiredByCadre = (total) => {
+    const parts = Object.values(CADRE_RATIO).reduce((sum, part) => sum + part, 0);
+    const required = {};
+    let assigned = 0;
+    for (const cadre of CADRES.slice(0, -1)) {
+        required[cadre] = Math.round(total * CADRE_RATIO[cadre] / parts);
+        assigned += required[cadre];
+    }
+    required[CADRES[CADRES.length - 1]] = Math.max(0, total - assigned);
+    return required;
+};
+
+// "1:2.5:7", relative to the Professor count; the raw counts when there are no Professors
+const formatRatio = (counts) => {
+    const base = counts[CADRES[0]];
+    return CADRES.map(cadre => base > 0 ? Math.round(counts[cadre] / base * 10) / 10 : counts[cadre]).join(':');
+};
+
+// Compliance of one college department, given its active faculty count per designation
+const evaluateUnit = (available, intake) => {
+    const students = intake * PROGRAM_DURATION_YEARS;
+    const requiredTotal = Math.ceil(students / STUDENTS_PER_FACULTY);
+    const required = requiredByCadre(requiredTotal);
+    const availableTotal = CADRES.reduce((sum, cadre) => sum + (available[cadre] || 0), 0);
+
+    let surplus = 0;
+    const cadres = CADRES.map(cadre => {
+        const count = available[cadre] || 0;
+        const counted = count + surplus;
+        const deficiency = Math.max(0, required[cadre] - counted);
+        surplus = Math.max(0, counted - required[cadre]);
+        return { designation: cadre, required: required[cadre], available: count, deficiency };
+    });
+
+    const deficiencies = [];
+    if (availableTotal < requiredTotal) {
+        deficiencies.push(`${requiredTotal - availableTotal} faculty short of the 1:${STUDENTS_PER_FACULTY} faculty-student ratio`);
+    }
+    cadres.filter(cadre => cadre.deficiency > 0).forEach(cadre => {
+        deficiencies.push(`${cadre.deficiency} ${cadre.designation} short`);
+    });
+
+    let status = COMPLIANCE_STATUS.GREEN;
+    if (availableTotal < requiredTotal) {
+        status = COMPLIANCE_STATUS.RED;
+    } else if (deficiencies.length > 0) {
+        status = COMPLIANCE_STATUS.AMBER;
+    }
+
+    return {
+        intake,
+        students,
+        requiredTotal,
+        availableTotal,
+        facultyStudentRatio: availableTotal > 0 ? `1:${Math.round(students / availableTotal * 10) / 10}` : null,
+        cadreRatio: formatRatio(Object.fromEntries(cadres.map(cadre => [cadre.designation, cadre.available]))),
+        cadres,
+        deficiencies,
+        status
+    };
+};
+
+// The worse of the statuses, for rolling departments up into their college
+const worstStatus = (statuses) => statuses.reduce(
+    (worst, status) => STATUS_ORDER.indexOf(status) > STATUS_ORDER.indexOf(worst) ? status : worst,
+    COMPLIANCE_STATUS.GREEN
+);
+
+module.exports = {
+    CADRES,
+    intakeFor,
+    evaluateUnit,
+    worstStatus
+};
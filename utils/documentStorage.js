@@ -0,0 +1,96 @@
+// utils/documentStorage.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+const { ALLOWED_DOCUMENT_TYPES, MAX_DOCUMENT_MB } = require('../config/documents');
+
+// Root folder for uploaded faculty documents; each faculty member gets a sub folder
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'));
+
+const facultyFolder = (facultyId) => path.join(UPLOAD_DIR, 'faculty', String(facultyId));
+
+// Files are stored under a random name; the original name is only kept in the database
+const documentUpload = multer({
+    storage: multer.diskStorage({
+        destination: (req, file, cb) => {
+            const folder = facultyFolder(req.params.id);
+            fs.mkdir(folder, { recursive: true }, error => cb(error, folder));
+        },
+        filename: (req, file, cb) => {
+            const extension = path.extname(file.originalname).toLowerCase();
+            cb(null, `${Date.now()}-${crypto.randomBytes(8).toString('hex')}${extension}`);
+        }
+    }),
+    limits: { fileSize: MAX_DOCUMENT_MB * 1024 * 1024, files: 1 },
+    fileFilter: (req, file, cb) => {
+        const extension = path.extname(file.originalname).toLowerCase();
+        const extensions = ALLOWED_DOCUMENT_TYPES[file.mimetype];
+        if (!extensions || !extensions.includes(extension)) {
+            return cb(new Error('Only PDF, JPEG and PNG documents can be uploaded'));
+        }
+        cb(null, true);
+    }
+});
+
+// Run the upload middleware inside a route handler
+const receiveDocument = (req, res) => new Promise((resolve, reject) => {
+    documentUpload.single('file')(req, res, error => error ? reject(error) : resolve(req.file));
+});
+
+// SHA-256 of a stored file, hex encoded
+const fileChecksum = (filePath) => new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+        .on('error', reject)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')));
+});
+
+// Path stored on the document, relative to UPLOAD_DIR
+const relativeDocumentPath = (filePath) => path.relative(UPLOAD_DIR, filePath).split(path.sep).join('/');
+
+// Absolute path of a stored document, or null if the stored path points outside UPLOAD_DIR
+const absoluteDocumentPath = (document) => {
+    const filePath = path.resolve(UPLOAD_DIR, document.path || '');
+    return filePath.startsWith(UPLOAD_DIR + path.sep) ? filePath : null;
+};
+
+const removeFile = async (filePath) => {
+    if (!filePath) return;
+    await fs.promises.rm(filePath, { force: true });
+};
+
+// Copy a stored document into another faculty member's folder (used when duplicate records are
+// merged) and return its new stored path. A file that is already missing keeps its old path.
+const copyDocumentFile = async (document, facultyId) => {
+    const source = absoluteDocumentPath(document);
+    if (!source) return document.path;
+
+    const folder = facultyFolder(facultyId);
+    await fs.promises.mkdir(folder, { recursive: true });
+    const target = path.join(folder, path.basename(source));
+    try {
+        await fs.promises.copyFile(source, target);
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        return document.path;
+    }
+    return relativeDocumentPath(target);
+};
+
+// Remove every stored document of a faculty member (used when a record is purged)
+const removeFacultyFiles = async (facultyId) => {
+    await fs.promises.rm(facultyFolder(facultyId), { recursive: true, force: true });
+};
+
+module.exports = {
+    UPLOAD_DIR,
+    receiveDocument,
+    fileChecksum,
+    relativeDocumentPath,
+    absoluteDocumentPath,
+    removeFile,
+    copyDocumentFile,
+    removeFacultyFiles
+};
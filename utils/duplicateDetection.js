@@ -0,0 +1,134 @@
+// utils/duplicateDetection.js
+// Find faculty records that look like the same person, e.g. one person shown as
+// full-time faculty at two colleges, and queue them for review.
+const Faculty = require('../models/faculty');
+const DuplicateConflict = require('../models/duplicateConflict');
+
+const { STRONG, FUZZY } = DuplicateConflict.STRENGTHS;
+
+// Names at least this similar (0-1) count as the same name for fuzzy matching
+const NAME_SIMILARITY_THRESHOLD = 0.85;
+
+// "Rao, K. Srinivasa" and "Srinivasa Rao" compare equal: lower case, no punctuation,
+// initials left out (they are written inconsistently), words sorted
+const normalizeName = (faculty) => {
+    const words = `${faculty.firstName || ''} ${faculty.lastName || ''}`
+        .toLowerCase()
+        .replace(/[^a-z\s]/g, ' ')
+        .split(/\s+/)
+        .filter(Boolean);
+    const withoutInitials = words.filter(word => word.length > 1);
+    return (withoutInitials.length > 0 ? withoutInitials : words).sort().join(' ');
+};
+
+const levenshtein = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+const nameSimilarity = (a, b) => {
+    const nameA = normalizeName(a);
+    const nameB = normalizeName(b);
+    const longest = Math.max(nameA.length, nameB.length);
+    return longest === 0 ? 0 : 1 - levenshtein(nameA, nameB) / longest;
+};
+
+// Last ten digits, so "+91-9876543210" and "9876543210" match
+const phoneDigits = (phone) => String(phone || '').replace(/\D/g, '').slice(-10);
+
+const sameDay = (a, b) => Boolean(a && b) && new Date(a).toISOString().slice(0, 10) === new Date(b).toISOString().slice(0, 10);
+
+// Why two faculty records look like the same person; empty when they do not
+const matchReasons = (a, b) => {
+    const reasons = [];
+
+    if (a.aicteId && a.aicteId === b.aicteId) {
+        reasons.push({ field: 'aicteId', strength: STRONG, detail: `Same AICTE faculty ID ${a.aicteId}` });
+    }
+    if (a.pan && a.pan === b.pan) {
+        reasons.push({ field: 'pan', strength: STRONG, detail: 'Same PAN' });
+    }
+
+    const similarity = nameSimilarity(a, b);
+    const similarName = similarity >= NAME_SIMILARITY_THRESHOLD;
+    const samePhone = phoneDigits(a.phone).length === 10 && phoneDigits(a.phone) === phoneDigits(b.phone);
+    const sameBirthDate = sameDay(a.dateOfBirth, b.dateOfBirth);
+    const nameDetail = `${Math.round(similarity * 100)}% similar name`;
+
+    if (samePhone && (similarName || sameBirthDate)) {
+        reasons.push({ field: 'phone', strength: FUZZY, detail: `Same phone number, ${similarName ? nameDetail : 'same date of birth'}` });
+    }
+    if (sameBirthDate && similarName) {
+        reasons.push({ field: 'dateOfBirth', strength: FUZZY, detail: `Same date of birth, ${nameDetail}` });
+    }
+
+    return reasons;
+};
+
+// Other faculty records that look like the same person as this one
+const findDuplicates = async (faculty) => {
+    const candidates = [];
+    if (faculty.aicteId) candidates.push({ aicteId: faculty.aicteId });
+    if (faculty.pan) candidates.push({ pan: faculty.pan });
+    if (faculty.dateOfBirth) candidates.push({ dateOfBirth: faculty.dateOfBirth });
+    if (phoneDigits(faculty.phone).length === 10) {
+        candidates.push({ phone: { $regex: `${phoneDigits(faculty.phone)}$` } });
+    }
+    if (candidates.length === 0) return [];
+
+    const others = await Faculty.find({ _id: { $ne: faculty._id }, $or: candidates })
+        .select('firstName lastName employeeId aicteId pan phone dateOfBirth college')
+        .lean();
+
+    return others
+        .map(other => ({ faculty: other, reasons: matchReasons(faculty, other) }))
+        .filter(match => match.reasons.length > 0);
+};
+
+// Check one record and queue every suspected duplicate; returns the open conflicts
+const detectDuplicates = async (faculty, source) => {
+    const conflicts = [];
+    for (const match of await findDuplicates(faculty)) {
+        const conflict = await DuplicateConflict.recordMatch(faculty, match.faculty, match.reasons, source);
+        if (conflict) conflicts.push(conflict);
+    }
+    return conflicts;
+};
+
+// Fields a change to which means the record has to be checked again
+const IDENTITY_FIELDS = ['firstName', 'lastName', 'aicteId', 'pan', 'phone', 'dateOfBirth'];
+
+// Check every faculty record (the detection job); returns how many were checked and queued
+const scanForDuplicates = async () => {
+    let scanned = 0;
+    const queued = new Set();
+
+    for await (const faculty of Faculty.find().select(IDENTITY_FIELDS.join(' ')).lean().cursor()) {
+        const conflicts = await detectDuplicates(faculty, 'scan');
+        conflicts.forEach(conflict => queued.add(String(conflict._id)));
+        scanned++;
+    }
+
+    return { scanned, openConflicts: queued.size };
+};
+
+module.exports = {
+    IDENTITY_FIELDS,
+    normalizeName,
+    nameSimilarity,
+    matchReasons,
+    findDuplicates,
+    detectDuplicates,
+    scanForDuplicates
+};
@@ -0,0 +1,153 @@
+// utils/eligibilityJob.js
+// Eligibility depends on today's date, so the ratificationStatus.isEligible flag stored on save goes
+// stale as faculty cross the service thresholds. This job recomputes it for every faculty member on
+// the roll, logs the run and records (and emits) an event for each candidate who became or stopped
+// being eligible. The run also keeps the count of eligible faculty awaiting ratification.
+const EventEmitter = require('events');
+const mongoose = require('mongoose');
+const Faculty = require('../models/faculty');
+const RuleSet = require('../models/ruleSet');
+const EligibilityRun = require('../models/eligibilityRun');
+const EligibilityEvent = require('../models/eligibilityEvent');
+const { ON_ROLL_STATUSES } = require('../config/leave');
+const { pendingBacklog } = require('./stats');
+
+const { BECAME_ELIGIBLE, LOST_ELIGIBILITY } = EligibilityEvent.EVENT_TYPES;
+
+// Emits 'becameEligible' and 'lostEligibility' with the saved event, for notifications
+const eligibilityEvents = new EventEmitter();
+
+// Whether a run is in progress; only one runs at a time. Set before the first await,
+// so two runs started together cannot both get past the check.
+let running = false;
+
+const isEligibilityRunInProgress = () => running;
+
+// Ratified faculty are not waiting for ratification, so a change in their flag is not an event
+const isCandidate = (faculty) => !faculty.ratificationStatus.isRatified || faculty.ratificationStatus.needsReRatification;
+
+// Record that a faculty member became or stopped being eligible and emit the event
+const recordEvent = async (faculty, evaluation, ruleSet, run) => {
+    const event = await EligibilityEvent.create({
+        type: evaluation.eligible ? BECAME_ELIGIBLE : LOST_ELIGIBILITY,
+        run: run?._id,
+        faculty: faculty._id,
+        college: faculty.college?._id || faculty.college,
+        facultyName: `${faculty.firstName} ${faculty.lastName}`,
+        employeeId: faculty.employeeId,
+        designation: faculty.designation,
+        ruleSetVersion: ruleSet.version,
+        failedCriteria: evaluation.criteria.filter(c => !c.passed).map(c => c.label)
+    });
+    eligibilityEvents.emit(evaluation.eligible ? 'becameEligible' : 'lostEligibility', event);
+    return event;
+};
+
+// For a faculty record saved with a fresh eligibility flag (checkRatificationEligibility), which
+// the next run will not see as a change: record the event if the flag changed. wasEligible is
+// the flag before the change (false for a new record). Returns the event or null; failures are
+// logged rather than thrown, as the record has already been saved.
+const recordEligibilityChange = async (faculty, wasEligible, ruleSet) => {
+    try {
+        if (Boolean(wasEligible) === Boolean(faculty.ratificationStatus.isEligible) || !isCandidate(faculty)) {
+            return null;
+        }
+        return await recordEvent(faculty, faculty.evaluateEligibility(ruleSet), ruleSet);
+    } catch (error) {
+        console.error('❌ Failed to record eligibility change:', error);
+        return null;
+    }
+};
+
+const recompute = async (run) => {
+    const leave = await Faculty.syncLeaveStatuses();
+    run.leave = leave;
+    
+    const ruleSet = await RuleSet.findEffective();
+    run.ruleSetVersion = ruleSet.version;
+    
+    const events = [];
+    const cursor = Faculty.find({ status: { $in: ON_ROLL_STATUSES } }).select('-documents').cursor();
+    for await (const faculty of cursor) {
+        run.checked++;
+        
+        const evaluation = faculty.evaluateEligibility(ruleSet);
+        const { isEligible, eligibilityRuleSetVersion } = faculty.ratificationStatus;
+        if (isEligible === evaluation.eligible && eligibilityRuleSetVersion === ruleSet.version) continue;
+        
+        // Only the flag is written, so records saved before later validation rules still update
+        await Faculty.updateOne({ _id: faculty._id }, {
+            $set: {
+                'ratificationStatus.isEligible': evaluation.eligible,
+                'ratificationStatus.eligibilityRuleSetVersion': ruleSet.version
+            }
+        });
+        run.updated++;
+        
+        if (isEligible === evaluation.eligible || !isCandidate(faculty)) continue;
+        
+        events.push(await recordEvent(faculty, evaluation, ruleSet, run));
+        
+        if (evaluation.eligible) {
+            run.becameEligible++;
+        } else {
+            run.lostEligibility++;
+        }
+    }
+    
+    run.backlog = await pendingBacklog();
+    
+    return events;
+};
+
+// Recompute every stored eligibility flag. trigger is 'schedule' or 'manual' (with the user).
+// Returns the run log entry and the events it recorded; a failed run is logged with its error.
+const runEligibilityJob = async ({ trigger, user } = {}) => {
+    if (mongoose.connection.readyState !== 1) {
+        throw new Error('Database not connected');
+    }
+    if (running) {
+        throw new Error('An eligibility run is already in progress');
+    }
+    running = true;
+    
+    let run;
+    try {
+        run = await EligibilityRun.create({
+            trigger,
+            triggeredBy: user?._id,
+            triggeredByName: user?.name
+        });
+    } catch (error) {
+        running = false;
+        throw error;
+    }
+    console.log(`🔁 Eligibility run ${run._id} started (${trigger})`);
+    
+    let events = [];
+    try {
+        events = await recompute(run);
+        run.status = EligibilityRun.RUN_STATUSES.COMPLETED;
+        console.log(`✅ Eligibility run finished: ${run.checked} checked, ${run.becameEligible} became eligible, ${run.lostEligibility} lost eligibility`);
+    } catch (error) {
+        console.error('❌ Eligibility run failed:', error);
+        run.status = EligibilityRun.RUN_STATUSES.FAILED;
+        run.error = error.message;
+    } finally {
+        run.finishedAt = new Date();
+        try {
+            await run.save();
+        } finally {
+            running = false;
+        }
+    }
+    
+    return { run, events };
+};
+
+module.exports = {
+    eligibilityEvents,
+    isEligibilityRunInProgress,
+    recordEligibilityChange,
+    runEligibilityJob
+};
@@ -0,0 +1,164 @@
+// utils/facultyExport.js
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const { formatQualification } = require('./qualifications');
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'pdf'];
+
+const formatDate = (value) => value ? new Date(value).toISOString().slice(0, 10) : '';
+
+// Columns a caller can pick, in their default order
+const EXPORT_COLUMNS = {
+    employeeId: { label: 'Employee ID', value: f => f.employeeId },
+    name: { label: 'Name', value: f => `${f.firstName} ${f.lastName}` },
+    firstName: { label: 'First Name', value: f => f.firstName },
+    lastName: { label: 'Last Name', value: f => f.lastName },
+    aicteId: { label: 'AICTE ID', value: f => f.aicteId },
+    email: { label: 'Email', value: f => f.email },
+    phone: { label: 'Phone', value: f => f.phone },
+    department: { label: 'Department', value: f => f.department?.name },
+    designation: { label: 'Designation', value: f => f.designation },
+    dateOfJoining: { label: 'Date of Joining', value: f => formatDate(f.dateOfJoining) },
+    employmentType: { label: 'Employment Type', value: f => f.employmentType || '' },
+    qualifications: { label: 'Qualifications', value: f => (f.qualifications || []).map(formatQualification).join('; ') },
+    teachingExperience: { label: 'Teaching Experience', value: f => f.experience?.teaching ?? '' },
+    industryExperience: { label: 'Industry Experience', value: f => f.experience?.industry ?? '' },
+    researchExperience: { label: 'Research Experience', value: f => f.experience?.research ?? '' },
+    journals: { label: 'Journals', value: f => f.publications?.journals ?? '' },
+    conferences: { label: 'Conferences', value: f => f.publications?.conferences ?? '' },
+    books: { label: 'Books', value: f => f.publications?.books ?? '' },
+    status: { label: 'Status', value: f => f.status },
+    eligible: { label: 'Eligible', value: f => f.ratificationStatus?.isEligible ? 'Yes' : 'No' },
+    ratified: { label: 'Ratified', value: f => f.ratificationStatus?.isRatified ? 'Yes' : 'No' },
+    ratificationDate: { label: 'Ratification Date', value: f => formatDate(f.ratificationStatus?.ratificationDate) },
+    city: { label: 'City', value: f => f.address?.city }
+};
+
+const DEFAULT_EXPORT_COLUMNS = ['employeeId', 'name', 'department', 'designation', 'dateOfJoining', 'email', 'phone', 'ratified'];
+
+// Parse the comma separated ?columns= value; unknown keys are reported back instead of ignored
+const resolveColumns = (columnsParam) => {
+    const keys = columnsParam
+        ? String(columnsParam).split(',').map(key => key.trim()).filter(Boolean)
+        : DEFAULT_EXPORT_COLUMNS;
+    const unknown = keys.filter(key => !EXPORT_COLUMNS[key]);
+    return {
+        unknown,
+        columns: keys.filter(key => EXPORT_COLUMNS[key]).map(key => ({ key, ...EXPORT_COLUMNS[key] }))
+    };
+};
+
+const rowValues = (faculty, columns) => columns.map(column => {
+    const value = column.value(faculty);
+    return value === undefined || value === null ? '' : value;
+});
+
+// Spreadsheet apps treat free text starting with one of these as a formula; a leading ' keeps it text
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const spreadsheetSafe = (value) => typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : value;
+
+const csvCell = (value) => {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Write each record to the response as it comes off the cursor
+const writeCsv = async (res, cursor, columns) => {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    // BOM so Excel opens the file as UTF-8
+    res.write('\uFEFF' + columns.map(column => csvCell(column.label)).join(',') + '\r\n');
+
+    for await (const faculty of cursor) {
+        const line = rowValues(faculty, columns).map(spreadsheetSafe).map(csvCell).join(',') + '\r\n';
+        if (!res.write(line)) {
+            await new Promise(resolve => res.once('drain', resolve));
+        }
+    }
+    res.end();
+};
+
+// XLSX is a zip archive, so the workbook is built in memory and sent in one piece
+const writeXlsx = async (res, cursor, columns) => {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Faculty');
+    sheet.columns = columns.map(column => ({ header: column.label, width: Math.max(12, column.label.length + 2) }));
+    for await (const faculty of cursor) {
+        sheet.addRow(rowValues(faculty, columns).map(spreadsheetSafe));
+    }
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.end(await workbook.xlsx.writeBuffer());
+};
+
+// Printable A4 landscape list with the university header on the first page
+// and the column headings repeated on every page
+const writePdf = async (res, cursor, columns, { title, filters, generatedBy }) => {
+    const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 36 });
+    res.setHeader('Content-Type', 'application/pdf');
+    doc.pipe(res);
+
+    const left = doc.page.margins.left;
+    const tableWidth = doc.page.width - left - doc.page.margins.right;
+    const columnWidth = tableWidth / columns.length;
+    const bottom = () => doc.page.height - doc.page.margins.bottom;
+
+    doc.font('Helvetica-Bold').fontSize(16)
+        .text('JAWAHARLAL NEHRU TECHNOLOGICAL UNIVERSITY KAKINADA', { align: 'center' });
+    doc.font('Helvetica').fontSize(10)
+        .text('Kakinada, Andhra Pradesh - 533003', { align: 'center' });
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(13).text(title, { align: 'center' });
+    doc.font('Helvetica').fontSize(9)
+        .text(filters.length > 0 ? `Filters: ${filters.join(' | ')}` : 'Filters: none', { align: 'center' })
+        .text(`Generated on ${new Date().toLocaleString('en-IN')} by ${generatedBy}`, { align: 'center' });
+    doc.moveDown();
+
+    const drawRow = (values, bold) => {
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+        const height = Math.max(...values.map(value => doc.heightOfString(String(value), { width: columnWidth - 6 }))) + 6;
+
+        if (doc.y + height > bottom()) {
+            doc.addPage();
+            if (!bold) drawRow(columns.map(column => column.label), true);
+            doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+        }
+
+        const top = doc.y;
+        if (bold) {
+            doc.rect(left, top, tableWidth, height).fill('#e2e8f0').fillColor('#000000');
+        }
+        values.forEach((value, index) => {
+            doc.text(String(value), left + index * columnWidth + 3, top + 3, { width: columnWidth - 6 });
+        });
+        doc.moveTo(left, top + height).lineTo(left + tableWidth, top + height).lineWidth(0.5).stroke('#a0aec0');
+        doc.x = left;
+        doc.y = top + height;
+    };
+
+    drawRow(columns.map(column => column.label), true);
+
+    let count = 0;
+    for await (const faculty of cursor) {
+        drawRow(rowValues(faculty, columns), false);
+        count++;
+    }
+
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(9).text(`Total: ${count} faculty members`, left);
+    doc.end();
+};
+
+const EXPORT_WRITERS = {
+    csv: writeCsv,
+    xlsx: writeXlsx,
+    pdf: writePdf
+};
+
+module.exports = {
+    EXPORT_FORMATS,
+    EXPORT_COLUMNS,
+    DEFAULT_EXPORT_COLUMNS,
+    EXPORT_WRITERS,
+    resolveColumns
+};
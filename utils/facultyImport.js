@@ -0,0 +1,328 @@
+// utils/facultyImport.js
+const ExcelJS = require('exceljs');
+const Faculty = require('../models/faculty');
+const Department = require('../models/department');
+const College = require('../models/college');
+const { QUALIFICATION_CLASSES } = require('../config/qualifications');
+const { parseQualification } = require('./qualifications');
+
+// Most rows accepted in one upload
+const MAX_IMPORT_ROWS = 2000;
+
+const IMPORT_MODES = ['all-or-nothing', 'skip-invalid'];
+
+// Spreadsheet column -> Faculty field. Headers are matched ignoring case, spaces and punctuation.
+const COLUMN_MAP = {
+    'First Name': 'firstName',
+    'Last Name': 'lastName',
+    'Email': 'email',
+    'Employee ID': 'employeeId',
+    'AICTE ID': 'aicteId',
+    'PAN': 'pan',
+    'Date of Birth': 'dateOfBirth',
+    'College': 'college',
+    'Department': 'department',
+    'Designation': 'designation',
+    'Date of Joining': 'dateOfJoining',
+    'Employment Type': 'employmentType',
+    'Qualifications': 'qualifications',
+    'Teaching Experience': 'experience.teaching',
+    'Industry Experience': 'experience.industry',
+    'Research Experience': 'experience.research',
+    'Journals': 'publications.journals',
+    'Conferences': 'publications.conferences',
+    'Books': 'publications.books',
+    'Phone': 'phone',
+    'Street': 'address.street',
+    'City': 'address.city',
+    'State': 'address.state',
+    'Pincode': 'address.pincode',
+    'Status': 'status'
+};
+
+const REQUIRED_COLUMNS = ['First Name', 'Last Name', 'Email', 'Employee ID', 'Department', 'Designation'];
+
+const NUMERIC_FIELDS = [
+    'experience.teaching',
+    'experience.industry',
+    'experience.research',
+    'publications.journals',
+    'publications.conferences',
+    'publications.books'
+];
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const FIELD_BY_HEADER = Object.fromEntries(
+    Object.entries(COLUMN_MAP).map(([column, field]) => [normalizeHeader(column), field])
+);
+
+const setPath = (target, dottedPath, value) => {
+    const keys = dottedPath.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => (node[key] = node[key] || {}), target);
+    parent[last] = value;
+};
+
+// "M.Tech | VLSI | JNTU Kakinada | 2012 | First Class" -> structured qualification.
+// Everything after the degree is optional; the last part is a class or a percentage such as "72%".
+const parseQualificationEntry = (entry) => {
+    const [degree, specialization, university, year, grade] = entry.split('|').map(part => part.trim());
+    const qualification = parseQualification(degree);
+    if (specialization) qualification.specialization = specialization;
+    if (university) qualification.university = university;
+    if (year) qualification.yearOfAward = Number(year);
+    if (grade) {
+        const classObtained = QUALIFICATION_CLASSES.find(name => name.toLowerCase() === grade.toLowerCase());
+        if (classObtained) {
+            qualification.classObtained = classObtained;
+        } else {
+            qualification.percentage = Number(grade.replace('%', ''));
+        }
+    }
+    return qualification;
+};
+
+// Convert one cell to the value stored on the Faculty field
+const convertCell = (field, value) => {
+    if (field === 'qualifications') {
+        // Plain degree lists ("M.Tech, Ph.D") are still accepted when no entry uses "|"
+        const text = String(value);
+        return text.split(text.includes('|') ? ';' : /[;,]/)
+            .map(entry => entry.trim())
+            .filter(Boolean)
+            .map(parseQualificationEntry);
+    }
+    if (NUMERIC_FIELDS.includes(field)) {
+        // Left as text when not a number, so schema validation reports it
+        const number = Number(value);
+        return isNaN(number) ? value : number;
+    }
+    if (field === 'dateOfJoining' || field === 'dateOfBirth') {
+        return value instanceof Date ? value : new Date(String(value).trim());
+    }
+    return String(value).trim();
+};
+
+// Split CSV text into rows of cells: quoted cells may hold commas, line breaks and "" for a quote
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (quoted) {
+        throw new Error('A quoted value is not closed');
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+};
+
+// Plain value of an XLSX cell: the text of rich text and links, the result of a formula
+const xlsxCellValue = (value) => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date || typeof value !== 'object') return value;
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if ('result' in value) return xlsxCellValue(value.result);
+    if ('text' in value) return value.text;
+    return '';
+};
+
+// Rows of cell values from the first sheet of an XLSX workbook
+const readXlsxRows = async (buffer) => {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+
+    const rows = [];
+    sheet.eachRow(row => {
+        // row.values is 1-based
+        rows.push(row.values.slice(1).map(xlsxCellValue));
+    });
+    return rows;
+};
+
+// Read the first sheet of a CSV or XLSX upload (by its extension) into header-keyed rows.
+// Blank rows are left out and cells without a value are ''.
+const readSpreadsheet = async (buffer, extension) => {
+    const allRows = extension === '.xlsx'
+        ? await readXlsxRows(buffer)
+        : parseCsv(buffer.toString('utf8').replace(/^\uFEFF/, ''));
+    const [headerRow = [], ...valueRows] = allRows.filter(cells => cells.some(cell => String(cell).trim() !== ''));
+
+    const headers = headerRow.map(header => String(header).trim());
+    const rows = valueRows.map(cells => {
+        const row = {};
+        headers.forEach((header, index) => {
+            if (header) row[header] = cells[index] ?? '';
+        });
+        return row;
+    });
+    return { headers, rows };
+};
+
+// Problems with the header row that make the whole file unusable
+const checkHeaders = (headers) => {
+    const present = headers.map(normalizeHeader);
+    const missing = REQUIRED_COLUMNS.filter(column => !present.includes(normalizeHeader(column)));
+    const unknown = headers.filter(header => header && !FIELD_BY_HEADER[normalizeHeader(header)]);
+    return { missing, unknown };
+};
+
+// Build the Faculty data for one spreadsheet row; blank cells are left out
+const rowToFacultyData = (row) => {
+    const data = {};
+    for (const [header, value] of Object.entries(row)) {
+        const field = FIELD_BY_HEADER[normalizeHeader(header)];
+        if (!field || value === '' || value === null || value === undefined) continue;
+        setPath(data, field, convertCell(field, value));
+    }
+    return data;
+};
+
+// Lower-cased code and name -> _id, for columns that name a college or department
+const idsByCodeAndName = async (Model) => {
+    const ids = new Map();
+    for (const record of await Model.find().select('code name').lean()) {
+        ids.set(record.code.toLowerCase(), record._id);
+        ids.set(record.name.toLowerCase(), record._id);
+    }
+    return ids;
+};
+
+// Validate every row against the Faculty schema and for unique email / employee ID,
+// both within the file and against existing records (including the Recycle Bin).
+// With a college every row is imported into that college (college-scoped users).
+// Returns one report entry per row plus the unsaved documents of the valid rows.
+const validateRows = async (rows, ruleSet, { college } = {}) => {
+    const report = [];
+    const seen = { email: new Map(), employeeId: new Map() };
+
+    // The College and Department columns hold a code or name
+    const referenceIds = {
+        college: await idsByCodeAndName(College),
+        department: await idsByCodeAndName(Department)
+    };
+
+    for (const [index, row] of rows.entries()) {
+        // Row 1 is the header
+        const rowNumber = index + 2;
+        const data = rowToFacultyData(row);
+        const errors = [];
+
+        const referenceText = { college: data.college, department: data.department };
+        for (const field of ['college', 'department']) {
+            if (data[field]) {
+                // Unknown values stay as text, so validation reports them
+                data[field] = referenceIds[field].get(data[field].toLowerCase()) || data[field];
+            }
+        }
+        if (college) {
+            if (data.college && String(data.college) !== String(college)) {
+                errors.push(`College "${referenceText.college}" is not your college`);
+            }
+            data.college = college;
+        }
+
+        const faculty = new Faculty(data);
+
+        try {
+            await faculty.validate();
+        } catch (error) {
+            if (error.name !== 'ValidationError') throw error;
+            errors.push(...Object.values(error.errors).map(err => {
+                if (err.name !== 'CastError') return err.message;
+                return referenceText[err.path]
+                    ? `Unknown ${err.path} "${referenceText[err.path]}"`
+                    : `${err.path} has an invalid value "${err.value}"`;
+            }));
+        }
+
+        for (const field of ['email', 'employeeId']) {
+            const value = faculty[field];
+            if (!value) continue;
+            if (seen[field].has(value)) {
+                errors.push(`${field} ${value} is repeated in row ${seen[field].get(value)}`);
+            } else {
+                seen[field].set(value, rowNumber);
+            }
+        }
+
+        report.push({
+            row: rowNumber,
+            name: [data.firstName, data.lastName].filter(Boolean).join(' '),
+            email: faculty.email,
+            employeeId: faculty.employeeId,
+            errors,
+            faculty
+        });
+    }
+
+    const existing = await Faculty.find({
+        $or: [
+            { email: { $in: [...seen.email.keys()] } },
+            { employeeId: { $in: [...seen.employeeId.keys()] } }
+        ]
+    })
+        .setOptions({ withDeleted: true })
+        .select('email employeeId isDeleted')
+        .lean();
+
+    for (const entry of report) {
+        for (const record of existing) {
+            for (const field of ['email', 'employeeId']) {
+                if (entry[field] && entry[field] === record[field]) {
+                    entry.errors.push(record.isDeleted
+                        ? `${field} ${entry[field]} belongs to a record in the Recycle Bin`
+                        : `${field} ${entry[field]} already exists`);
+                }
+            }
+        }
+        entry.status = entry.errors.length === 0 ? 'valid' : 'invalid';
+        if (entry.status === 'valid') {
+            entry.faculty.checkRatificationEligibility(ruleSet);
+        }
+    }
+
+    return report;
+};
+
+module.exports = {
+    MAX_IMPORT_ROWS,
+    IMPORT_MODES,
+    COLUMN_MAP,
+    REQUIRED_COLUMNS,
+    readSpreadsheet,
+    checkHeaders,
+    validateRows
+};
@@ -0,0 +1,240 @@
+// utils/facultySearch.js
+// Faculty search. Plain words are looked up in the text index (names, employee ID, email,
+// department, qualifications and publication titles, see models/faculty.js) and must all match.
+// The index matches whole words, so when it finds nothing the words are matched as the start
+// of a word in the same fields instead ("Sri" finds "Srinivasa"), using the indexed searchWords.
+// field:value words narrow the search to one field, e.g. `dept:CSE designation:Professor phd`;
+// values with spaces are quoted, as in `designation:"Associate Professor"`. The input is never
+// used as a regular expression or as text search operators.
+const College = require('../models/college');
+const Department = require('../models/department');
+const RuleSet = require('../models/ruleSet');
+const { normalizeDegree } = require('./qualifications');
+
+const MAX_SEARCH_LENGTH = 200;
+
+// field:value prefixes and what each one searches
+const SEARCH_FIELDS = {
+    dept: 'department',
+    department: 'department',
+    college: 'college',
+    designation: 'designation',
+    name: 'name',
+    id: 'employeeId',
+    email: 'email',
+    degree: 'qualification',
+    qualification: 'qualification',
+    title: 'publication',
+    publication: 'publication'
+};
+
+// field:"quoted value", field:value, "quoted words" or a word
+const TOKEN_PATTERN = /([A-Za-z]+):"([^"]*)"|([A-Za-z]+):(\S+)|"([^"]*)"|(\S+)/g;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const startsWith = (value) => ({ $regex: `^${escapeRegex(value)}`, $options: 'i' });
+const contains = (value) => ({ $regex: escapeRegex(value), $options: 'i' });
+const exactly = (value) => ({ $regex: `^${escapeRegex(value)}$`, $options: 'i' });
+
+// Quotes and backslashes would end or escape a $text phrase
+const cleanWord = (word) => word.replace(/["\\]/g, '').trim();
+
+// Split a search into plain words and field:value pairs. Returns { words, fields } or { error }.
+const parseSearch = (text) => {
+    const search = String(text || '').trim();
+    if (search.length > MAX_SEARCH_LENGTH) {
+        return { error: `Search cannot exceed ${MAX_SEARCH_LENGTH} characters` };
+    }
+
+    const words = [];
+    const fields = [];
+    for (const match of search.matchAll(TOKEN_PATTERN)) {
+        const prefix = match[1] || match[3];
+        const value = cleanWord(match[2] ?? match[4] ?? match[5] ?? match[6]);
+        if (!value) continue;
+
+        if (!prefix) {
+            words.push(value);
+            continue;
+        }
+
+        const field = SEARCH_FIELDS[prefix.toLowerCase()];
+        if (!field) {
+            return { error: `Unknown search field "${prefix}". Use one of: ${Object.keys(SEARCH_FIELDS).join(', ')}` };
+        }
+        fields.push({ field, value });
+    }
+
+    return { words, fields };
+};
+
+// Colleges or departments whose code is the value or whose name contains it
+const referenceIds = async (Model, value) => {
+    const records = await Model.find({ $or: [{ code: exactly(value) }, { name: contains(value) }] }).select('_id').lean();
+    return records.map(record => record._id);
+};
+
+// The designations named exactly, otherwise those containing the value ("assistant")
+const designationsFor = (value) => {
+    const exact = RuleSet.DESIGNATIONS.filter(designation => designation.toLowerCase() === value.toLowerCase());
+    return exact.length > 0
+        ? exact
+        : RuleSet.DESIGNATIONS.filter(designation => designation.toLowerCase().includes(value.toLowerCase()));
+};
+
+// Lowercase words of a text, split at anything but letters and digits ("JNTUK-CSE-01" -> jntuk, cse, 01).
+// The faculty model stores the words of the searched fields this way as searchWords.
+const searchWordsOf = (text) => String(text || '').toLowerCase().split(/[^\p{L}\p{M}\p{N}]+/u).filter(Boolean);
+
+// Degree names ignoring punctuation, so "phd" finds "Ph.D"
+const degreePattern = (value) => {
+    const letters = normalizeDegree(value);
+    return letters ? { $regex: letters.split('').join('[^a-z0-9]*'), $options: 'i' } : contains(value);
+};
+
+// MongoDB condition for one field:value pair
+const fieldCondition = async ({ field, value }) => {
+    switch (field) {
+        case 'department':
+            return { department: { $in: await referenceIds(Department, value) } };
+        case 'college':
+            return { college: { $in: await referenceIds(College, value) } };
+        case 'designation':
+            return { designation: { $in: designationsFor(value) } };
+        case 'name':
+            // Every word of the value starts the first or last name
+            return {
+                $and: value.split(/\s+/).map(word => ({
+                    $or: [{ firstName: startsWith(word) }, { lastName: startsWith(word) }]
+                }))
+            };
+        case 'employeeId':
+            return { employeeId: startsWith(value) };
+        case 'email':
+            return { email: startsWith(value) };
+        case 'qualification':
+            return {
+                $or: [
+                    { 'qualifications.degree': degreePattern(value) },
+                    { 'qualifications.level': exactly(value) },
+                    { 'qualifications.specialization': contains(value) }
+                ]
+            };
+        case 'publication':
+            return { 'publicationRecords.title': contains(value) };
+    }
+};
+
+// Parse a search into the conditions for buildFacultyQuery: { $text } for the plain words and
+// { $and } for the field:value pairs. prefixConditions match the words as word prefixes instead,
+// for when the text search finds nothing. Returns { conditions, prefixConditions, words, fields },
+// or { error } for a 400 response; conditions is null for an empty search.
+const facultySearch = async (text) => {
+    const parsed = parseSearch(text);
+    if (parsed.error) return parsed;
+
+    const { words, fields } = parsed;
+    const fieldConditions = await Promise.all(fields.map(fieldCondition));
+    const conditions = {};
+    // Each word as a phrase, so all of them have to match
+    if (words.length > 0) {
+        conditions.$text = { $search: words.map(word => `"${word}"`).join(' ') };
+    }
+    if (fields.length > 0) {
+        conditions.$and = fieldConditions;
+    }
+
+    // Each word starts one of the record's words instead. The regexes are anchored and
+    // case-sensitive (the words are stored in lowercase), so the searchWords index is used.
+    let prefixConditions = null;
+    const prefixes = words.flatMap(searchWordsOf);
+    if (prefixes.length > 0) {
+        const { $text, ...others } = conditions;
+        prefixConditions = {
+            ...others,
+            searchWords: { $all: prefixes.map(prefix => new RegExp(`^${escapeRegex(prefix)}`)) }
+        };
+    }
+
+    return {
+        conditions: Object.keys(conditions).length > 0 ? conditions : null,
+        prefixConditions,
+        words,
+        fields
+    };
+};
+
+// [start, end] of each case-insensitive occurrence of the terms in a text
+const matchRanges = (text, terms) => {
+    const lower = text.toLowerCase();
+    const ranges = [];
+    for (const term of terms) {
+        const needle = term.toLowerCase();
+        for (let index = lower.indexOf(needle); index !== -1; index = lower.indexOf(needle, index + needle.length)) {
+            ranges.push([index, index + needle.length]);
+        }
+    }
+    return ranges;
+};
+
+// Ranges in order, merged where they overlap
+const mergeRanges = (ranges) => {
+    return [...ranges]
+        .sort((a, b) => a[0] - b[0])
+        .reduce((merged, range) => {
+            const last = merged[merged.length - 1];
+            if (last && range[0] <= last[1]) {
+                last[1] = Math.max(last[1], range[1]);
+            } else {
+                merged.push([...range]);
+            }
+            return merged;
+        }, []);
+};
+
+// Fields shown with highlights, and their texts for a faculty record
+const HIGHLIGHT_FIELDS = [
+    ['Name', faculty => [`${faculty.firstName} ${faculty.lastName}`]],
+    ['Employee ID', faculty => [faculty.employeeId]],
+    ['Email', faculty => [faculty.email]],
+    ['Department', faculty => [faculty.department?.name]],
+    ['Qualification', faculty => (faculty.qualifications || []).map(q => q.specialization ? `${q.degree} (${q.specialization})` : q.degree)],
+    ['Publication', faculty => (faculty.publicationRecords || []).map(publication => publication.title)]
+];
+
+// Publication titles shown per faculty member at most
+const MAX_PUBLICATION_HIGHLIGHTS = 3;
+
+// Where the search terms occur in a faculty record: [{ field, text, matches: [[start, end]] }].
+// A degree matching a term without punctuation ("phd" for "Ph.D") is highlighted as a whole.
+const highlightMatches = (faculty, { words, fields }) => {
+    const terms = [...words, ...fields.filter(f => !['college', 'designation'].includes(f.field)).map(f => f.value)];
+    if (terms.length === 0) return [];
+    const degreeTerms = terms.map(normalizeDegree).filter(Boolean);
+
+    const highlights = [];
+    for (const [field, textsOf] of HIGHLIGHT_FIELDS) {
+        let found = 0;
+        for (const text of textsOf(faculty).filter(Boolean)) {
+            const ranges = matchRanges(text, terms);
+            if (field === 'Qualification') {
+                const degree = text.split(' (')[0];
+                if (degreeTerms.includes(normalizeDegree(degree))) ranges.push([0, degree.length]);
+            }
+            if (ranges.length === 0) continue;
+
+            highlights.push({ field, text, matches: mergeRanges(ranges) });
+            if (field === 'Publication' && ++found >= MAX_PUBLICATION_HIGHLIGHTS) break;
+        }
+    }
+    return highlights;
+};
+
+module.exports = {
+    SEARCH_FIELDS,
+    searchWordsOf,
+    parseSearch,
+    facultySearch,
+    highlightMatches
+};
@@ -0,0 +1,252 @@
+// utils/notifications.js
+// Templated email notices (see config/notifications.js). Every notice is logged per recipient
+// before it is sent; a failed delivery is retried with increasing delays by a background timer.
+const mongoose = require('mongoose');
+const nodemailer = require('nodemailer');
+const Faculty = require('../models/faculty');
+const College = require('../models/college');
+const User = require('../models/user');
+const NotificationOptOut = require('../models/notificationOptOut');
+const NotificationTemplate = require('../models/notificationTemplate');
+const NotificationDelivery = require('../models/notificationDelivery');
+const { ROLES } = require('../config/roles');
+const { signUnsubscribeToken } = require('../middleware/auth');
+const {
+    SMTP,
+    MAIL_FROM,
+    APP_URL,
+    NOTIFICATIONS_ENABLED,
+    MAX_DELIVERY_ATTEMPTS,
+    RETRY_BASE_MINUTES,
+    RETRY_INTERVAL_MINUTES,
+    NOTIFICATION_EVENTS,
+    DELIVERY_STATUSES
+} = require('../config/notifications');
+const { eligibilityEvents } = require('./eligibilityJob');
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+let transporter = null;
+
+const getTransporter = () => {
+    if (!transporter) {
+        transporter = nodemailer.createTransport({
+            host: SMTP.host,
+            port: SMTP.port,
+            secure: SMTP.secure,
+            auth: SMTP.user ? { user: SMTP.user, pass: SMTP.pass } : undefined
+        });
+    }
+    return transporter;
+};
+
+// Replace each {{name}} with its value; names without a value are left as they are
+const renderTemplate = (text, values) => text.replace(PLACEHOLDER_PATTERN, (match, name) => {
+    return values[name] !== undefined && values[name] !== null && values[name] !== '' ? String(values[name]) : match;
+});
+
+// Placeholders in a template text that the event does not provide
+const unknownPlaceholders = (event, text) => {
+    const known = NOTIFICATION_EVENTS[event].placeholders;
+    const used = [...(text || '').matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+    return [...new Set(used)].filter(name => !known.includes(name));
+};
+
+// The admin's template for an event, or the default one
+const templateFor = async (event) => {
+    const custom = await NotificationTemplate.findOne({ event }).lean();
+    const { subject, body } = custom || NOTIFICATION_EVENTS[event];
+    return {
+        subject,
+        body,
+        customized: Boolean(custom),
+        updatedByName: custom?.updatedByName,
+        updatedAt: custom?.updatedAt
+    };
+};
+
+// Placeholder values from a faculty record with its college and department populated
+const facultyValues = (faculty, college) => ({
+    facultyName: faculty ? `${faculty.firstName} ${faculty.lastName}` : undefined,
+    employeeId: faculty?.employeeId,
+    designation: faculty?.designation,
+    department: faculty?.department?.name,
+    college: college?.name,
+    date: new Date().toLocaleDateString('en-IN')
+});
+
+// Email addresses for the event's recipient groups, without repeats
+const recipientsFor = async (event, faculty, college) => {
+    const addresses = [];
+    for (const group of NOTIFICATION_EVENTS[event].recipients) {
+        if (group === 'faculty' && faculty?.email) {
+            addresses.push(faculty.email);
+        } else if (group === 'principal' && college?.principalEmail) {
+            addresses.push(college.principalEmail);
+        } else if (group === 'collegeAdmins' && college) {
+            const admins = await User.find({
+                role: ROLES.COLLEGE_ADMIN,
+                college: college._id,
+                isActive: true,
+                email: { $nin: [null, ''] }
+            }).select('email').lean();
+            addresses.push(...admins.map(admin => admin.email));
+        }
+    }
+    return [...new Set(addresses.map(address => address.toLowerCase()))];
+};
+
+// Send one delivery and record the attempt. A failure is scheduled for a retry
+// until MAX_DELIVERY_ATTEMPTS is reached, then the delivery is marked as failed.
+const attemptDelivery = async (delivery) => {
+    delivery.attempts++;
+    delivery.lastAttemptAt = new Date();
+
+    try {
+        const info = await getTransporter().sendMail({
+            from: MAIL_FROM,
+            to: delivery.to,
+            subject: delivery.subject,
+            text: delivery.body
+        });
+        delivery.status = DELIVERY_STATUSES.SENT;
+        delivery.sentAt = new Date();
+        delivery.messageId = info.messageId;
+        delivery.nextAttemptAt = undefined;
+        delivery.lastError = undefined;
+    } catch (error) {
+        delivery.lastError = error.message;
+        if (delivery.attempts >= MAX_DELIVERY_ATTEMPTS) {
+            delivery.status = DELIVERY_STATUSES.FAILED;
+            delivery.nextAttemptAt = undefined;
+            console.error(`❌ Giving up on ${delivery.event} notice to ${delivery.to} after ${delivery.attempts} attempts:`, error.message);
+        } else {
+            delivery.status = DELIVERY_STATUSES.PENDING;
+            const delayMinutes = RETRY_BASE_MINUTES * 2 ** (delivery.attempts - 1);
+            delivery.nextAttemptAt = new Date(Date.now() + delayMinutes * 60 * 1000);
+        }
+    }
+
+    await delivery.save();
+    return delivery;
+};
+
+// A non-mandatory notice ends with a link that stops notices of its kind to the recipient's
+// address, as most recipients have no user account to change their preferences in
+const withUnsubscribeLink = (body, event, to) => {
+    const link = `${APP_URL}/unsubscribe.html?token=${encodeURIComponent(signUnsubscribeToken(to, event))}`;
+    return `${body}\n\n--\nTo stop receiving ${NOTIFICATION_EVENTS[event].label} notices, open ${link}`;
+};
+
+// Raise a notice about a faculty member: render the event's template, log a delivery per
+// recipient and send them. values adds or overrides placeholder values, and college is used
+// when the faculty record no longer exists. Failures are logged rather than thrown, so the
+// change that raised the notice is never undone by it.
+const notify = async (event, { faculty: facultyId, college: collegeId, values = {} } = {}) => {
+    try {
+        const faculty = facultyId
+            ? await Faculty.findById(facultyId).setOptions({ withDeleted: true }).lean()
+            : null;
+        const collegeRef = faculty?.college?._id || collegeId;
+        const college = collegeRef ? await College.findById(collegeRef).lean() : null;
+
+        const addresses = await recipientsFor(event, faculty, college);
+        if (addresses.length === 0) return [];
+
+        const { mandatory } = NOTIFICATION_EVENTS[event];
+        const template = await templateFor(event);
+        const merged = { ...facultyValues(faculty, college), ...values };
+
+        const optedOut = mandatory ? [] : (await NotificationOptOut.find({
+            email: { $in: addresses },
+            events: event
+        }).select('email').lean()).map(optOut => optOut.email);
+
+        const subject = renderTemplate(template.subject, merged);
+        const body = renderTemplate(template.body, merged);
+
+        const deliveries = await NotificationDelivery.insertMany(addresses.map(to => {
+            const skipReason = !NOTIFICATIONS_ENABLED
+                ? 'Email notifications are turned off'
+                : optedOut.includes(to) ? 'Recipient opted out' : undefined;
+            return {
+                event,
+                mandatory,
+                to,
+                subject,
+                body: mandatory ? body : withUnsubscribeLink(body, event, to),
+                faculty: faculty?._id || facultyId,
+                college: college?._id,
+                status: skipReason ? DELIVERY_STATUSES.SKIPPED : DELIVERY_STATUSES.PENDING,
+                skipReason,
+                // The retry timer leaves it alone while the first attempt is made here
+                nextAttemptAt: skipReason ? undefined : new Date(Date.now() + RETRY_BASE_MINUTES * 60 * 1000)
+            };
+        }));
+
+        for (const delivery of deliveries) {
+            if (delivery.status === DELIVERY_STATUSES.PENDING) {
+                await attemptDelivery(delivery);
+            }
+        }
+
+        console.log(`📧 ${NOTIFICATION_EVENTS[event].label} notice: ${deliveries.filter(d => d.status === DELIVERY_STATUSES.SENT).length} of ${deliveries.length} sent`);
+        return deliveries;
+    } catch (error) {
+        console.error(`❌ Failed to send ${event} notice:`, error);
+        return [];
+    }
+};
+
+let retrying = false;
+
+// Retry the pending deliveries that are due
+const retryDueDeliveries = async () => {
+    if (retrying || mongoose.connection.readyState !== 1) return;
+
+    retrying = true;
+    try {
+        const due = await NotificationDelivery.find({
+            status: DELIVERY_STATUSES.PENDING,
+            nextAttemptAt: { $lte: new Date() }
+        }).sort({ nextAttemptAt: 1 }).limit(50);
+
+        for (const delivery of due) {
+            await attemptDelivery(delivery);
+        }
+    } catch (error) {
+        console.error('❌ Error retrying notification deliveries:', error);
+    } finally {
+        retrying = false;
+    }
+};
+
+// Send notices for eligibility changes, found by the eligibility job or when a faculty record is
+// saved, and start the retry timer
+const startNotifications = () => {
+    eligibilityEvents.on('becameEligible', (event) => {
+        notify('becameEligible', {
+            faculty: event.faculty,
+            values: { ruleSetVersion: event.ruleSetVersion }
+        });
+    });
+
+    const timer = setInterval(retryDueDeliveries, RETRY_INTERVAL_MINUTES * 60 * 1000);
+    timer.unref();
+
+    if (NOTIFICATIONS_ENABLED) {
+        console.log(`📧 Email notifications go through ${SMTP.host}:${SMTP.port}`);
+    } else {
+        console.log('⏸️ Email notifications are turned off');
+    }
+};
+
+module.exports = {
+    renderTemplate,
+    unknownPlaceholders,
+    templateFor,
+    attemptDelivery,
+    notify,
+    retryDueDeliveries,
+    startNotifications
+};
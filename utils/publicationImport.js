@@ -0,0 +1,315 @@
+// utils/publicationImport.js
+// Parse BibTeX / RIS files and DOI lists into publication records for preview.
+
+// Most entries accepted from one file or DOI list
+const MAX_IMPORT_ENTRIES = 500;
+const MAX_DOI_LOOKUPS = 50;
+
+// DOI lookups run a few at a time and share one deadline, so a slow Crossref cannot hold a
+// preview request for long; DOIs not looked up in time get a warning like other failures
+const DOI_LOOKUP_CONCURRENCY = 5;
+const DOI_LOOKUP_TIMEOUT_MS = 10000;
+const DOI_LOOKUP_DEADLINE_MS = 30000;
+
+const CROSSREF_API_URL = process.env.CROSSREF_API_URL || 'https://api.crossref.org/works/';
+
+// Reference manager entry type -> publication type; unlisted types are not imported
+const BIBTEX_TYPES = {
+    article: 'Journal',
+    inproceedings: 'Conference',
+    conference: 'Conference',
+    proceedings: 'Conference',
+    book: 'Book',
+    inbook: 'Book Chapter',
+    incollection: 'Book Chapter'
+};
+
+const RIS_TYPES = {
+    JOUR: 'Journal',
+    EJOUR: 'Journal',
+    MGZN: 'Journal',
+    CONF: 'Conference',
+    CPAPER: 'Conference',
+    BOOK: 'Book',
+    EBOOK: 'Book',
+    EDBOOK: 'Book',
+    CHAP: 'Book Chapter',
+    ECHAP: 'Book Chapter'
+};
+
+const CROSSREF_TYPES = {
+    'journal-article': 'Journal',
+    'proceedings-article': 'Conference',
+    'book': 'Book',
+    'monograph': 'Book',
+    'edited-book': 'Book',
+    'book-chapter': 'Book Chapter'
+};
+
+// "https://doi.org/10.1000/XYZ" / "doi:10.1000/xyz" -> "10.1000/xyz"
+const normalizeDoi = (doi) => {
+    const match = String(doi || '').trim().match(/10\.\d{4,9}\/\S+/);
+    return match ? match[0].replace(/[.,;]+$/, '').toLowerCase() : '';
+};
+
+const normalizeTitle = (title) => String(title || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Strip BibTeX braces and common LaTeX escapes from a field value
+const cleanBibtexValue = (value) => value
+    .replace(/\\[&%$#_]/g, match => match[1])
+    .replace(/\\["'`^~=.]\{?([a-zA-Z])\}?/g, '$1')
+    .replace(/[{}]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Read a {braced}, (parenthesized) or "quoted" value starting at text[start]; returns [value, endIndex]
+const CLOSING = { '{': '}', '(': ')' };
+
+const readDelimited = (text, start) => {
+    const open = text[start];
+    let depth = 0;
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+        if (char === '\\') {
+            i++;
+            continue;
+        }
+        if (open === '"') {
+            if (char === '{') depth++;
+            if (char === '}') depth--;
+            if (char === '"' && i > start && depth === 0) return [text.slice(start + 1, i), i + 1];
+        } else {
+            if (char === open) depth++;
+            if (char === CLOSING[open] && --depth === 0) return [text.slice(start + 1, i), i + 1];
+        }
+    }
+    throw new Error('Unbalanced braces or quotes');
+};
+
+// Parse the "field = value, ..." body of one BibTeX entry
+const parseBibtexFields = (body) => {
+    const fields = {};
+    let i = 0;
+    while (i < body.length) {
+        const nameMatch = /^\s*,?\s*([A-Za-z][\w-]*)\s*=\s*/.exec(body.slice(i));
+        if (!nameMatch) break;
+        i += nameMatch[0].length;
+
+        let value;
+        if (body[i] === '{' || body[i] === '"') {
+            [value, i] = readDelimited(body, i);
+        } else {
+            const bare = /^[^,}\s]+/.exec(body.slice(i));
+            value = bare ? bare[0] : '';
+            i += value.length;
+        }
+        fields[nameMatch[1].toLowerCase()] = cleanBibtexValue(value);
+    }
+    return fields;
+};
+
+const parseBibtex = (text) => {
+    const entries = [];
+    const entryStart = /@(\w+)\s*([{(])/g;
+    let match;
+
+    while ((match = entryStart.exec(text)) !== null) {
+        const bibType = match[1].toLowerCase();
+        const openIndex = match.index + match[0].length - 1;
+        let content;
+        try {
+            [content, entryStart.lastIndex] = readDelimited(text, openIndex);
+        } catch (error) {
+            entries.push({ sourceType: `@${bibType}`, type: null, warnings: [`@${bibType} entry could not be read: ${error.message}`] });
+            break;
+        }
+
+        if (['comment', 'string', 'preamble'].includes(bibType)) continue;
+
+        const keyEnd = content.indexOf(',');
+        const fields = parseBibtexFields(keyEnd === -1 ? '' : content.slice(keyEnd + 1));
+
+        entries.push({
+            sourceType: `@${bibType}`,
+            type: BIBTEX_TYPES[bibType] || null,
+            title: fields.title,
+            authors: fields.author ? fields.author.split(/\s+and\s+/i).map(formatAuthor) : [],
+            venue: fields.journal || fields.booktitle || fields.publisher,
+            year: parseInt(fields.year) || undefined,
+            doi: normalizeDoi(fields.doi),
+            isbn: fields.isbn
+        });
+    }
+    return entries;
+};
+
+// "Rao, K. S." -> "K. S. Rao"
+const formatAuthor = (author) => {
+    const [last, first] = author.split(',').map(part => part.trim());
+    return first ? `${first} ${last}` : last;
+};
+
+const parseRis = (text) => {
+    const entries = [];
+    let current = null;
+
+    for (const line of text.split(/\r?\n/)) {
+        const match = /^([A-Z][A-Z0-9])  -\s?(.*)$/.exec(line);
+        if (!match) continue;
+        const [, tag, rawValue] = match;
+        const value = rawValue.trim();
+
+        if (tag === 'TY') {
+            current = { sourceType: value, type: RIS_TYPES[value] || null, authors: [] };
+            continue;
+        }
+        if (!current) continue;
+
+        if (tag === 'ER') {
+            entries.push(current);
+            current = null;
+        } else if (['AU', 'A1'].includes(tag)) {
+            current.authors.push(formatAuthor(value));
+        } else if (['TI', 'T1'].includes(tag)) {
+            current.title = current.title || value;
+        } else if (['JO', 'JF', 'T2', 'BT', 'J2'].includes(tag)) {
+            current.venue = current.venue || value;
+        } else if (tag === 'PB') {
+            current.publisher = value;
+        } else if (['PY', 'Y1', 'DA'].includes(tag)) {
+            current.year = current.year || parseInt(value) || undefined;
+        } else if (tag === 'DO') {
+            current.doi = normalizeDoi(value);
+        } else if (tag === 'SN') {
+            current.isbn = value;
+        }
+    }
+
+    return entries.map(({ publisher, ...entry }) => ({
+        ...entry,
+        venue: entry.venue || publisher,
+        // ISSNs (journals) are not ISBNs
+        isbn: ['Book', 'Book Chapter'].includes(entry.type) ? entry.isbn : undefined
+    }));
+};
+
+// Look a DOI up in Crossref, giving up at the deadline (a timestamp); failures become warnings
+// on the entry instead of errors
+const resolveDoi = async (doi, deadline) => {
+    const timeLeft = deadline - Date.now();
+    if (timeLeft <= 0) {
+        return { doi, type: null, authors: [], warnings: [`DOI ${doi} could not be looked up: the time for DOI lookups ran out`] };
+    }
+
+    try {
+        const response = await fetch(CROSSREF_API_URL + encodeURIComponent(doi), {
+            headers: { 'Accept': 'application/json' },
+            signal: AbortSignal.timeout(Math.min(DOI_LOOKUP_TIMEOUT_MS, timeLeft))
+        });
+        if (!response.ok) {
+            return { doi, type: null, authors: [], warnings: [`DOI ${doi} was not found (HTTP ${response.status})`] };
+        }
+
+        const work = (await response.json()).message;
+        return {
+            sourceType: work.type,
+            type: CROSSREF_TYPES[work.type] || null,
+            title: work.title?.[0],
+            authors: (work.author || []).map(author => [author.given, author.family].filter(Boolean).join(' ') || author.name),
+            venue: work['container-title']?.[0] || work.publisher,
+            year: work.issued?.['date-parts']?.[0]?.[0] || undefined,
+            doi,
+            isbn: work.ISBN?.[0]
+        };
+    } catch (error) {
+        return { doi, type: null, authors: [], warnings: [`DOI ${doi} could not be looked up: ${error.message}`] };
+    }
+};
+
+const parseDoiList = async (text) => {
+    const dois = [...new Set(String(text).split(/[\s,;]+/).map(normalizeDoi).filter(Boolean))];
+    if (dois.length > MAX_DOI_LOOKUPS) {
+        throw new Error(`Paste at most ${MAX_DOI_LOOKUPS} DOIs at a time`);
+    }
+
+    const deadline = Date.now() + DOI_LOOKUP_DEADLINE_MS;
+    const entries = new Array(dois.length);
+    let next = 0;
+    const lookUpNext = async () => {
+        while (next < dois.length) {
+            const index = next++;
+            entries[index] = await resolveDoi(dois[index], deadline);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(DOI_LOOKUP_CONCURRENCY, dois.length) }, lookUpNext));
+    return entries;
+};
+
+// Position of the faculty member in the author list, matched on last name
+const findAuthorPosition = (authors, faculty) => {
+    const lastName = String(faculty.lastName || '').toLowerCase();
+    if (!lastName) return undefined;
+    const index = authors.findIndex(author => author.toLowerCase().split(/[\s.]+/).includes(lastName));
+    return index === -1 ? undefined : index + 1;
+};
+
+// Add classification warnings, author position and duplicate flags to parsed entries.
+// Duplicates are matched on DOI, or on title and year, against stored records and earlier entries.
+const preparePreview = (parsed, faculty) => {
+    const seen = [];
+    const stored = (faculty.publicationRecords || []).map(publication => ({
+        doi: publication.doi,
+        title: normalizeTitle(publication.title),
+        year: publication.year,
+        label: `already recorded as "${publication.title}"`
+    }));
+
+    return parsed.slice(0, MAX_IMPORT_ENTRIES).map((entry, index) => {
+        const warnings = [...(entry.warnings || [])];
+        if (!entry.title) warnings.push('No title');
+        if (!entry.type && entry.sourceType) warnings.push(`Unsupported entry type ${entry.sourceType}; choose a type to import it`);
+
+        const key = { doi: entry.doi, title: normalizeTitle(entry.title), year: entry.year };
+        const duplicate = [...stored, ...seen].find(other =>
+            (key.doi && other.doi === key.doi) ||
+            (key.title && other.title === key.title && other.year === key.year)
+        );
+        seen.push({ ...key, label: `same as entry ${index + 1} in this import` });
+
+        return {
+            index: index + 1,
+            title: entry.title,
+            authors: entry.authors || [],
+            authorPosition: findAuthorPosition(entry.authors || [], faculty),
+            venue: entry.venue,
+            year: entry.year,
+            doi: entry.doi || undefined,
+            isbn: entry.isbn,
+            type: entry.type,
+            indexing: 'None',
+            sourceType: entry.sourceType,
+            duplicate: duplicate ? duplicate.label : null,
+            warnings,
+            // Ticked in the preview unless something needs a second look
+            selected: Boolean(entry.title && entry.type && !duplicate)
+        };
+    });
+};
+
+// Parse an uploaded reference file by extension
+const parseReferenceFile = (fileName, text) => {
+    if (/\.bib$/i.test(fileName)) return parseBibtex(text);
+    if (/\.ris$/i.test(fileName)) return parseRis(text);
+    throw new Error('Only .bib and .ris files can be imported');
+};
+
+module.exports = {
+    MAX_IMPORT_ENTRIES,
+    normalizeDoi,
+    normalizeTitle,
+    parseBibtex,
+    parseRis,
+    parseDoiList,
+    parseReferenceFile,
+    preparePreview
+};
@@ -0,0 +1,114 @@
+// utils/qualifications.js
+const {
+    FIRST_CLASS_CLASSES,
+    FIRST_CLASS_PERCENTAGE,
+    QUALIFICATION_NORMS
+} = require('../config/qualifications');
+
+// Normalize a degree name for comparison, so "Ph.D", "PhD" and "phd" match
+const normalizeDegree = (degree) => String(degree || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Canonical spelling of common degree names
+const DEGREE_NAMES = {
+    phd: 'Ph.D',
+    dphil: 'Ph.D',
+    postdoc: 'Post-Doctorate',
+    mphil: 'M.Phil',
+    mtech: 'M.Tech',
+    me: 'M.E',
+    msc: 'M.Sc',
+    mca: 'MCA',
+    mba: 'MBA',
+    ms: 'M.S',
+    ma: 'M.A',
+    mcom: 'M.Com',
+    btech: 'B.Tech',
+    be: 'B.E',
+    bsc: 'B.Sc',
+    bca: 'BCA',
+    ba: 'B.A',
+    bcom: 'B.Com',
+    diploma: 'Diploma'
+};
+
+// Degree level from a degree name, for data entered as plain text
+const levelForDegree = (degree) => {
+    const name = normalizeDegree(degree);
+    if (name === 'postdoc' || name.startsWith('postdoctor')) return 'Post-Doctorate';
+    if (['phd', 'dphil', 'dsc'].includes(name) || name.startsWith('doctor')) return 'Doctorate';
+    if (name === 'mphil') return 'M.Phil';
+    if (name.startsWith('diploma')) return 'Diploma';
+    if (name.startsWith('m') || name.startsWith('pg') || name.startsWith('master')) return 'PG';
+    return 'UG';
+};
+
+// Structured qualification from a plain degree name such as "Ph.D" or "m.tech"
+const parseQualification = (text) => {
+    const degree = String(text || '').trim();
+    return {
+        level: levelForDegree(degree),
+        degree: DEGREE_NAMES[normalizeDegree(degree)] || degree
+    };
+};
+
+// "M.Tech (VLSI), JNTU Kakinada, 2012 - First Class"
+const formatQualification = (qualification) => {
+    if (typeof qualification === 'string') return qualification;
+    const { degree, specialization, university, yearOfAward, classObtained, percentage } = qualification;
+    const grade = [classObtained, percentage ? `${percentage}%` : null].filter(Boolean).join(', ');
+    return [
+        specialization ? `${degree} (${specialization})` : degree,
+        university,
+        yearOfAward
+    ].filter(Boolean).join(', ') + (grade ? ` - ${grade}` : '');
+};
+
+const isFirstClass = (qualification) => {
+    return FIRST_CLASS_CLASSES.includes(qualification.classObtained) ||
+        (qualification.percentage || 0) >= FIRST_CLASS_PERCENTAGE;
+};
+
+// Check qualifications against the AICTE/UGC norms for a designation.
+// Returns one entry per norm with whether it is met.
+const checkQualificationNorms = (designation, qualifications = []) => {
+    const norm = QUALIFICATION_NORMS[designation];
+    if (!norm) return [];
+
+    const results = [];
+    if (norm.requireDoctorate) {
+        results.push({
+            key: 'norm:doctorate',
+            label: 'Ph.D (AICTE/UGC norms)',
+            requirement: 'a Ph.D',
+            passed: qualifications.some(q => ['Doctorate', 'Post-Doctorate'].includes(q.level))
+        });
+    }
+    if (norm.firstClassIn.length > 0) {
+        const levels = norm.firstClassIn.join(' or ');
+        results.push({
+            key: 'norm:firstClass',
+            label: `First class in ${levels} degree (AICTE/UGC norms)`,
+            requirement: `first class or ${FIRST_CLASS_PERCENTAGE}% in the ${levels} degree`,
+            passed: qualifications.some(q => norm.firstClassIn.includes(q.level) && isFirstClass(q))
+        });
+    }
+    return results;
+};
+
+// Messages for the norms a designation's qualifications do not meet
+const qualificationNormViolations = (designation, qualifications = []) => {
+    if (qualifications.length === 0) {
+        return ['At least one qualification is required'];
+    }
+    return checkQualificationNorms(designation, qualifications)
+        .filter(result => !result.passed)
+        .map(result => `${designation} requires ${result.requirement} as per AICTE/UGC norms`);
+};
+
+module.exports = {
+    normalizeDegree,
+    parseQualification,
+    formatQualification,
+    checkQualificationNorms,
+    qualificationNormViolations
+};
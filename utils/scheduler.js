@@ -0,0 +1,55 @@
+// utils/scheduler.js
+// Daily jobs run inside the server process, so no cron setup is needed.
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Next time the HH:MM local time comes round after a date
+const nextRunAt = (time, after = new Date()) => {
+    const [, hours, minutes] = time.match(TIME_PATTERN);
+    const next = new Date(after);
+    next.setHours(Number(hours), Number(minutes), 0, 0);
+    if (next <= after) {
+        next.setDate(next.getDate() + 1);
+    }
+    return next;
+};
+
+const isValidTime = (time) => time === 'off' || TIME_PATTERN.test(time);
+
+// Run a task every day at a HH:MM local time. A failing task is logged and runs again the next day.
+// Returns a function that stops the schedule, or null when the time is "off" or invalid.
+const scheduleDaily = (name, time, task) => {
+    if (time === 'off') {
+        console.log(`⏸️ ${name} is not scheduled`);
+        return null;
+    }
+    if (!isValidTime(time)) {
+        console.error(`❌ ${name} is not scheduled: invalid time "${time}" (use HH:MM or off)`);
+        return null;
+    }
+    
+    let timer;
+    const scheduleNext = () => {
+        const at = nextRunAt(time);
+        timer = setTimeout(async () => {
+            try {
+                await task();
+            } catch (error) {
+                console.error(`❌ ${name} failed:`, error);
+            }
+            scheduleNext();
+        }, at.getTime() - Date.now());
+        // A pending run does not keep the process alive on its own
+        timer.unref();
+        console.log(`⏰ ${name} scheduled for ${at.toLocaleString()}`);
+    };
+    
+    scheduleNext();
+    return () => clearTimeout(timer);
+};
+
+module.exports = {
+    nextRunAt,
+    isValidTime,
+    scheduleDaily
+};
@@ -0,0 +1,335 @@
+// utils/stats.js
+// Aggregation pipelines behind the /api/stats dashboard breakdowns and trends. Each one takes the
+// $match stage built from the request filters, so every figure covers all matching faculty.
+const Faculty = require('../models/faculty');
+const College = require('../models/college');
+const Department = require('../models/department');
+const RuleSet = require('../models/ruleSet');
+const EligibilityRun = require('../models/eligibilityRun');
+const { QUALIFICATION_LEVELS } = require('../config/qualifications');
+const { ON_ROLL_STATUSES } = require('../config/leave');
+const { EXPERIENCE_BUCKETS, PUBLICATION_BUCKETS, STATS_TIMEZONE } = require('../config/stats');
+
+const DESIGNATIONS = RuleSet.DESIGNATIONS;
+
+// Ratification states, in the order the dashboard shows them. The eligibility flag is the
+// stored one, which the nightly recomputation keeps current (see utils/eligibilityJob.js).
+const RATIFICATION_STATES = ['Ratified', 'Re-ratification Due', 'Pending', 'Ineligible'];
+
+const ratificationState = {
+    $switch: {
+        branches: [
+            { case: { $and: ['$ratificationStatus.isRatified', '$ratificationStatus.needsReRatification'] }, then: 'Re-ratification Due' },
+            { case: '$ratificationStatus.isRatified', then: 'Ratified' },
+            { case: '$ratificationStatus.isEligible', then: 'Pending' }
+        ],
+        default: 'Ineligible'
+    }
+};
+
+// { Professor: 0, 'Associate Professor': 0, ... } filled in from [{ k: designation, v: count }]
+const countsByDesignation = (pairs = []) => Object.fromEntries(DESIGNATIONS.map(designation => [
+    designation,
+    pairs.find(pair => pair.k === designation)?.v || 0
+]));
+
+// Total faculty, count per designation and ratified count, for the stat cards
+const overview = async (scope) => {
+    const [result] = await Faculty.aggregate([
+        { $match: scope },
+        {
+            $facet: {
+                designations: [{ $group: { _id: '$designation', v: { $sum: 1 } } }],
+                ratified: [{ $match: { 'ratificationStatus.isRatified': true } }, { $count: 'count' }]
+            }
+        }
+    ]);
+    
+    const designations = countsByDesignation(result.designations.map(({ _id, v }) => ({ k: _id, v })));
+    return {
+        totalFaculty: Object.values(designations).reduce((sum, count) => sum + count, 0),
+        professors: designations['Professor'],
+        associateProfessors: designations['Associate Professor'],
+        assistantProfessors: designations['Assistant Professor'],
+        ratifiedFaculty: result.ratified[0]?.count || 0
+    };
+};
+
+// Faculty per department and designation, with row and column totals
+const departmentDesignationMatrix = async (scope) => {
+    const rows = await Faculty.aggregate([
+        { $match: scope },
+        { $group: { _id: { department: '$department', designation: '$designation' }, count: { $sum: 1 } } },
+        {
+            $group: {
+                _id: '$_id.department',
+                counts: { $push: { k: '$_id.designation', v: '$count' } },
+                total: { $sum: '$count' }
+            }
+        },
+        { $lookup: { from: Department.collection.name, localField: '_id', foreignField: '_id', as: 'department' } },
+        { $unwind: { path: '$department', preserveNullAndEmptyArrays: true } },
+        { $sort: { 'department.name': 1 } }
+    ]);
+    
+    const matrix = rows.map(row => ({
+        department: { _id: row._id, code: row.department?.code, name: row.department?.name || 'Unknown' },
+        counts: countsByDesignation(row.counts),
+        total: row.total
+    }));
+    
+    return {
+        designations: DESIGNATIONS,
+        rows: matrix,
+        totals: Object.fromEntries(DESIGNATIONS.map(designation => [
+            designation,
+            matrix.reduce((sum, row) => sum + row.counts[designation], 0)
+        ])),
+        total: matrix.reduce((sum, row) => sum + row.total, 0)
+    };
+};
+
+// Ratified, awaiting re-ratification, eligible but not yet ratified (pending) and ineligible,
+// overall and per designation
+const ratificationBreakdown = async (scope) => {
+    const groups = await Faculty.aggregate([
+        { $match: scope },
+        { $group: { _id: { state: ratificationState, designation: '$designation' }, count: { $sum: 1 } } }
+    ]);
+    
+    const countFor = (state, designation) => groups
+        .filter(group => group._id.state === state && (!designation || group._id.designation === designation))
+        .reduce((sum, group) => sum + group.count, 0);
+    
+    return {
+        states: RATIFICATION_STATES,
+        totals: Object.fromEntries(RATIFICATION_STATES.map(state => [state, countFor(state)])),
+        byDesignation: DESIGNATIONS.map(designation => ({
+            designation,
+            counts: Object.fromEntries(RATIFICATION_STATES.map(state => [state, countFor(state, designation)]))
+        }))
+    };
+};
+
+// Faculty by their highest degree level; records without qualifications are counted apart
+const qualificationMix = async (scope) => {
+    const groups = await Faculty.aggregate([
+        { $match: scope },
+        {
+            $project: {
+                highest: {
+                    $max: {
+                        $map: {
+                            input: { $ifNull: ['$qualifications', []] },
+                            as: 'qualification',
+                            in: { $indexOfArray: [QUALIFICATION_LEVELS, '$$qualification.level'] }
+                        }
+                    }
+                }
+            }
+        },
+        { $group: { _id: '$highest', count: { $sum: 1 } } }
+    ]);
+    
+    const countFor = (rank) => groups.find(group => group._id === rank)?.count || 0;
+    const doctorate = QUALIFICATION_LEVELS.indexOf('Doctorate');
+    
+    return {
+        levels: QUALIFICATION_LEVELS.map((level, rank) => ({ level, count: countFor(rank) })),
+        withDoctorate: groups
+            .filter(group => group._id !== null && group._id >= doctorate)
+            .reduce((sum, group) => sum + group.count, 0),
+        notRecorded: countFor(null)
+    };
+};
+
+// $bucket id of the values past the last boundary
+const OPEN_BUCKET = 'open';
+
+// Count of faculty per bucket of a numeric value, empty buckets included
+const histogram = async (scope, value, boundaries) => {
+    const buckets = await Faculty.aggregate([
+        { $match: scope },
+        { $bucket: { groupBy: value, boundaries, default: OPEN_BUCKET, output: { count: { $sum: 1 } } } }
+    ]);
+    
+    return boundaries.map((min, index) => {
+        const max = index < boundaries.length - 1 ? boundaries[index + 1] : null;
+        const bucket = buckets.find(b => (max === null ? b._id === OPEN_BUCKET : b._id === min));
+        return {
+            label: max === null ? `${min}+` : `${min}-${max}`,
+            min,
+            max,
+            count: bucket?.count || 0
+        };
+    });
+};
+
+// Teaching experience and publication count histograms
+const histograms = async (scope) => ({
+    experience: await histogram(scope, { $ifNull: ['$experience.teaching', 0] }, EXPERIENCE_BUCKETS),
+    publications: await histogram(scope, {
+        $add: [
+            { $ifNull: ['$publications.journals', 0] },
+            { $ifNull: ['$publications.conferences', 0] },
+            { $ifNull: ['$publications.books', 0] }
+        ]
+    }, PUBLICATION_BUCKETS)
+});
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// 'YYYY-MM' of the last count months, oldest first, ending with the current month
+const trendMonths = (count, now = new Date()) => {
+    const [year, month] = new Intl.DateTimeFormat('en-CA', { timeZone: STATS_TIMEZONE, year: 'numeric', month: '2-digit' })
+        .format(now)
+        .split('-')
+        .map(Number);
+    return Array.from({ length: count }, (_, index) => {
+        return new Date(Date.UTC(year, month - count + index, 1)).toISOString().slice(0, 7);
+    });
+};
+
+// 'YYYY-MM' of a date expression
+const monthOf = (date) => ({ $dateToString: { format: '%Y-%m', date, timezone: STATS_TIMEZONE } });
+
+// Count of faculty per month of a date expression, for the months asked for
+const countPerMonth = (scope, date, months) => Faculty.aggregate([
+    { $match: scope },
+    { $project: { month: monthOf(date) } },
+    { $match: { month: { $in: months } } },
+    { $group: { _id: '$month', count: { $sum: 1 } } }
+]);
+
+// Ratifications and joinings per month, and the average days from eligibility to ratification.
+// Re-ratifications count as ratifications. The days are only known for ratifications that
+// recorded when the faculty member became eligible, so each month gives how many were measured.
+const throughputTrend = async (scope, months) => {
+    const ratifications = await Faculty.aggregate([
+        { $match: { ...scope, 'ratificationHistory.action': 'Ratified' } },
+        { $unwind: '$ratificationHistory' },
+        { $match: { 'ratificationHistory.action': 'Ratified' } },
+        {
+            $project: {
+                month: monthOf('$ratificationHistory.date'),
+                days: {
+                    $cond: [
+                        { $ifNull: ['$ratificationHistory.eligibleSince', false] },
+                        { $divide: [{ $subtract: ['$ratificationHistory.date', '$ratificationHistory.eligibleSince'] }, MS_PER_DAY] },
+                        null
+                    ]
+                }
+            }
+        },
+        { $match: { month: { $in: months } } },
+        {
+            $group: {
+                _id: '$month',
+                count: { $sum: 1 },
+                measured: { $sum: { $cond: [{ $eq: ['$days', null] }, 0, 1] } },
+                totalDays: { $sum: '$days' }
+            }
+        }
+    ]);
+    const joinings = await countPerMonth(scope, '$dateOfJoining', months);
+    
+    const averageDays = (totalDays, measured) => measured > 0 ? Math.round(totalDays / measured) : null;
+    const rows = months.map(month => {
+        const ratified = ratifications.find(group => group._id === month);
+        return {
+            month,
+            joinings: joinings.find(group => group._id === month)?.count || 0,
+            ratifications: ratified?.count || 0,
+            measuredRatifications: ratified?.measured || 0,
+            totalDays: ratified?.totalDays || 0
+        };
+    });
+    
+    const sum = (key) => rows.reduce((total, row) => total + row[key], 0);
+    return {
+        months: rows.map(({ totalDays, ...row }) => ({
+            ...row,
+            averageDaysToRatification: averageDays(totalDays, row.measuredRatifications)
+        })),
+        totals: {
+            joinings: sum('joinings'),
+            ratifications: sum('ratifications'),
+            measuredRatifications: sum('measuredRatifications'),
+            averageDaysToRatification: averageDays(sum('totalDays'), sum('measuredRatifications'))
+        }
+    };
+};
+
+// Eligible faculty on the roll who are not ratified, per college and department.
+// Stored with every eligibility run (see utils/eligibilityJob.js) for the backlog trend.
+const pendingBacklog = async () => {
+    const groups = await Faculty.aggregate([
+        {
+            $match: {
+                status: { $in: ON_ROLL_STATUSES },
+                'ratificationStatus.isEligible': true,
+                'ratificationStatus.isRatified': { $ne: true }
+            }
+        },
+        { $group: { _id: { college: '$college', department: '$department' }, count: { $sum: 1 } } }
+    ]);
+    return groups.map(group => ({ ...group._id, count: group.count }));
+};
+
+// Eligible-but-unratified faculty at the end of each month, in total and per college and
+// department, from the last completed eligibility run of the month. Months without a run,
+// such as those before the backlog was first recorded, have null counts.
+const backlogTrend = async (scope, months) => {
+    const snapshots = await EligibilityRun.aggregate([
+        { $match: { status: EligibilityRun.RUN_STATUSES.COMPLETED, backlog: { $exists: true } } },
+        { $project: { month: monthOf('$startedAt'), startedAt: 1, backlog: 1 } },
+        { $match: { month: { $in: months } } },
+        { $sort: { startedAt: 1 } },
+        { $group: { _id: '$month', takenAt: { $last: '$startedAt' }, backlog: { $last: '$backlog' } } }
+    ]);
+    
+    const inScope = (entry) => (!scope.college || String(entry.college) === String(scope.college)) &&
+        (!scope.department || String(entry.department) === String(scope.department));
+    const entriesFor = months.map(month => {
+        const snapshot = snapshots.find(s => s._id === month);
+        return snapshot ? snapshot.backlog.filter(inScope) : null;
+    });
+    
+    // Counts per month for one college or department, sorted by name
+    const breakdown = async (Model, key) => {
+        const ids = [...new Set(entriesFor.flat().filter(entry => entry?.[key]).map(entry => String(entry[key])))];
+        const records = await Model.find({ _id: { $in: ids } }).select('code name').lean();
+        return ids
+            .map(id => {
+                const record = records.find(r => String(r._id) === id);
+                return {
+                    [key]: { _id: id, code: record?.code, name: record?.name || 'Unknown' },
+                    counts: entriesFor.map(entries => entries && entries
+                        .filter(entry => String(entry[key]) === id)
+                        .reduce((sum, entry) => sum + entry.count, 0))
+                };
+            })
+            .sort((a, b) => a[key].name.localeCompare(b[key].name));
+    };
+    
+    return {
+        months,
+        takenAt: months.map(month => snapshots.find(s => s._id === month)?.takenAt || null),
+        total: entriesFor.map(entries => entries && entries.reduce((sum, entry) => sum + entry.count, 0)),
+        byCollege: await breakdown(College, 'college'),
+        byDepartment: await breakdown(Department, 'department')
+    };
+};
+
+module.exports = {
+    RATIFICATION_STATES,
+    overview,
+    departmentDesignationMatrix,
+    ratificationBreakdown,
+    qualificationMix,
+    histograms,
+    trendMonths,
+    throughputTrend,
+    pendingBacklog,
+    backlogTrend
+};